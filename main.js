@@ -73,41 +73,257 @@
   }
 
   /**
-   * Returns a random float in [min, max].
+   * Create a seeded pseudo-random generator (mulberry32). The returned function yields
+   * floats in [0, 1) like Math.random, and the same seed always yields the same sequence.
    */
-  function randFloat(min, max) {
-    return Math.random() * (max - min) + min;
+  function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Returns a random float in [min, max]. random defaults to Math.random.
+   */
+  function randFloat(min, max, random = Math.random) {
+    return random() * (max - min) + min;
   }
 
   /**
-   * Returns a random integer in [min, max].
+   * Returns a random integer in [min, max]. random defaults to Math.random.
    */
-  function randInt(min, max) {
-    return (Math.random() * (max - min + 1)) | 0 + min;
+  function randInt(min, max, random = Math.random) {
+    return ((random() * (max - min + 1)) | 0) + min;
   }
 
   /**
-   * Generate a UUID v4-like string.
+   * Generate a UUID v4-like string. random defaults to Math.random.
    */
-  function uuid() {
+  function uuid(random = Math.random) {
     // Lightweight, not cryptographically strong
     return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function (c) {
-      const r = (Math.random() * 16) | 0;
+      const r = (random() * 16) | 0;
       const v = c === "x" ? r : (r & 0x3) | 0x8;
       return v.toString(16);
     });
   }
 
+  /**
+   * Canvas backend used for every canvas, ImageData and decoded image the library creates.
+   * A backend is an object with:
+   * - createCanvas(width, height): a canvas supporting getContext("2d")
+   * - createImageData(data, width, height): an ImageData the backend's contexts accept
+   * - loadImage(source, type): Promise of a drawable image, from a URL string or encoded bytes
+   * - encode(canvas, type, quality): Promise of the encoded image as a Uint8Array
+   * By default the DOM is used, or OffscreenCanvas inside workers. Under Node.js install a
+   * backend built with createNodeCanvasBackend before creating any Painter.
+   */
+  let canvasBackend = null;
+
+  function setCanvasBackend(backend) {
+    assert(
+      backend && ["createCanvas", "createImageData", "loadImage", "encode"].every((k) => typeof backend[k] === "function"),
+      "Canvas backend must implement createCanvas, createImageData, loadImage and encode"
+    );
+    canvasBackend = backend;
+  }
+
+  function getCanvasBackend() {
+    if (!canvasBackend) canvasBackend = createBrowserCanvasBackend();
+    return canvasBackend;
+  }
+
+  /**
+   * Backend for browsers (DOM canvas) and workers (OffscreenCanvas).
+   */
+  function createBrowserCanvasBackend() {
+    const hasDOM = typeof document !== "undefined" && typeof document.createElement === "function";
+    assert(
+      hasDOM || typeof OffscreenCanvas === "function",
+      "No canvas implementation available; call setCanvasBackend() (see createNodeCanvasBackend)"
+    );
+    return {
+      createCanvas(width, height) {
+        if (!hasDOM) return new OffscreenCanvas(width, height);
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+      },
+      createImageData(data, width, height) {
+        return new ImageData(data, width, height);
+      },
+      async loadImage(source, type = "image/png") {
+        let url = typeof source === "string" ? source : null;
+        if (!url) {
+          const blob = new Blob([source], { type });
+          if (typeof createImageBitmap === "function") return createImageBitmap(blob);
+          url = URL.createObjectURL(blob);
+        } else if (typeof Image !== "function") {
+          // Workers have no Image element
+          return createImageBitmap(await (await fetch(url)).blob());
+        }
+        try {
+          return await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = "anonymous";
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = url;
+          });
+        } finally {
+          if (url !== source) URL.revokeObjectURL(url);
+        }
+      },
+      async encode(canvas, type = "image/png", quality) {
+        const blob =
+          typeof canvas.convertToBlob === "function"
+            ? await canvas.convertToBlob({ type, quality })
+            : await new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+        return new Uint8Array(await blob.arrayBuffer());
+      },
+    };
+  }
+
+  /**
+   * Backend for Node.js built from a node-canvas compatible module, e.g.
+   * setCanvasBackend(createNodeCanvasBackend(require("canvas"))). The module must provide
+   * createCanvas, ImageData and loadImage, and its canvases toBuffer(mimeType).
+   * Encoding quality is left to the module's defaults.
+   */
+  function createNodeCanvasBackend(lib) {
+    return {
+      createCanvas(width, height) {
+        return lib.createCanvas(width, height);
+      },
+      createImageData(data, width, height) {
+        return new lib.ImageData(data, width, height);
+      },
+      loadImage(source) {
+        return lib.loadImage(typeof source === "string" ? source : Buffer.from(source.buffer, source.byteOffset, source.byteLength));
+      },
+      async encode(canvas, type = "image/png") {
+        return new Uint8Array(canvas.toBuffer(type));
+      },
+    };
+  }
+
   /**
    * Create an offscreen canvas with specified dimensions.
    */
   function createOffscreenCanvas(width, height) {
-    const canvas = document.createElement("canvas");
-    canvas.width = width;
-    canvas.height = height;
+    return getCanvasBackend().createCanvas(width, height);
+  }
+
+  /**
+   * Create an ImageData through the canvas backend.
+   */
+  function createImageData(data, width, height) {
+    return getCanvasBackend().createImageData(data, width, height);
+  }
+
+  /**
+   * Build an integer pixel rectangle { x, y, width, height } covering the given bounds.
+   * Returns null for empty bounds; null is used throughout as "no region".
+   */
+  function rectFromBounds(minX, minY, maxX, maxY) {
+    const x = Math.floor(minX);
+    const y = Math.floor(minY);
+    const width = Math.ceil(maxX) - x;
+    const height = Math.ceil(maxY) - y;
+    if (!(width > 0 && height > 0)) return null;
+    return { x, y, width, height };
+  }
+
+  /**
+   * Smallest rectangle containing both a and b (either may be null).
+   */
+  function unionRect(a, b) {
+    if (!a) return b ? { ...b } : null;
+    if (!b) return { ...a };
+    return rectFromBounds(
+      Math.min(a.x, b.x),
+      Math.min(a.y, b.y),
+      Math.max(a.x + a.width, b.x + b.width),
+      Math.max(a.y + a.height, b.y + b.height)
+    );
+  }
+
+  /**
+   * Grow a rectangle by amount pixels on every side.
+   */
+  function inflateRect(rect, amount) {
+    if (!rect) return null;
+    return rectFromBounds(rect.x - amount, rect.y - amount, rect.x + rect.width + amount, rect.y + rect.height + amount);
+  }
+
+  /**
+   * Clip a rectangle to [0, width] x [0, height]. Returns null if nothing is left.
+   */
+  function clipRect(rect, width, height) {
+    if (!rect) return null;
+    return rectFromBounds(
+      Math.max(0, rect.x),
+      Math.max(0, rect.y),
+      Math.min(width, rect.x + rect.width),
+      Math.min(height, rect.y + rect.height)
+    );
+  }
+
+  /**
+   * Copy a rectangular region of a canvas into a new canvas of the region's size.
+   */
+  function copyCanvasRegion(source, rect) {
+    const canvas = createOffscreenCanvas(rect.width, rect.height);
+    canvas.getContext("2d").drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
     return canvas;
   }
 
+  /**
+   * Replace the pixels of ctx inside the region with the contents of regionCanvas.
+   */
+  function putCanvasRegion(ctx, regionCanvas, x, y) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1.0;
+    ctx.clearRect(x, y, regionCanvas.width, regionCanvas.height);
+    ctx.drawImage(regionCanvas, x, y);
+    ctx.restore();
+  }
+
+  /**
+   * Minimal event emitter. on() returns a function that removes the listener.
+   */
+  class Emitter {
+    constructor() {
+      this._listeners = {};
+    }
+
+    on(type, fn) {
+      (this._listeners[type] = this._listeners[type] || []).push(fn);
+      return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+      const list = this._listeners[type];
+      if (!list) return;
+      const i = list.indexOf(fn);
+      if (i !== -1) list.splice(i, 1);
+    }
+
+    emit(type, payload) {
+      const list = this._listeners[type];
+      if (!list) return;
+      for (const fn of list.slice()) fn(payload);
+    }
+  }
+
   /**
    * Convert degrees to radians.
    */
@@ -433,7 +649,7 @@
       }
     }
 
-    return new ImageData(out, width, height);
+    return createImageData(out, width, height);
   }
 
   /**
@@ -479,7 +695,7 @@
       }
     }
 
-    return new ImageData(out, width, height);
+    return createImageData(out, width, height);
   }
 
   /**
@@ -515,7 +731,7 @@
       }
     }
 
-    return new ImageData(out, width, height);
+    return createImageData(out, width, height);
   }
 
   /**
@@ -528,6 +744,66 @@
     ctx.globalAlpha = prevAlpha;
   }
 
+  /**
+   * Select the pixels of an RGBA ImageData that match the pixel at (x, y) within tolerance
+   * (largest per-channel difference, 0-255). With contiguous, only the 4-connected region
+   * around (x, y) is selected. Returns { selection: Uint8Array (1 = selected), bounds } or
+   * null if (x, y) is outside the image.
+   */
+  function selectSimilarPixels(imageData, x, y, tolerance = 32, contiguous = true) {
+    const { width, height, data } = imageData;
+    x = Math.floor(x);
+    y = Math.floor(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return null;
+    const seed = (y * width + x) * 4;
+    const sr = data[seed];
+    const sg = data[seed + 1];
+    const sb = data[seed + 2];
+    const sa = data[seed + 3];
+    const matches = (p) => {
+      const i = p * 4;
+      return (
+        Math.abs(data[i] - sr) <= tolerance &&
+        Math.abs(data[i + 1] - sg) <= tolerance &&
+        Math.abs(data[i + 2] - sb) <= tolerance &&
+        Math.abs(data[i + 3] - sa) <= tolerance
+      );
+    };
+
+    const selection = new Uint8Array(width * height);
+    let minX = x,
+      minY = y,
+      maxX = x,
+      maxY = y;
+    const select = (p) => {
+      selection[p] = 1;
+      const px = p % width;
+      const py = (p - px) / width;
+      if (px < minX) minX = px;
+      if (px > maxX) maxX = px;
+      if (py < minY) minY = py;
+      if (py > maxY) maxY = py;
+    };
+
+    if (!contiguous) {
+      for (let p = 0; p < selection.length; p++) if (matches(p)) select(p);
+    } else {
+      const stack = [y * width + x];
+      select(stack[0]);
+      while (stack.length) {
+        const p = stack.pop();
+        const px = p % width;
+        const neighbours = [px > 0 ? p - 1 : -1, px < width - 1 ? p + 1 : -1, p - width, p + width];
+        for (const n of neighbours) {
+          if (n < 0 || n >= selection.length || selection[n] || !matches(n)) continue;
+          select(n);
+          stack.push(n);
+        }
+      }
+    }
+    return { selection, bounds: rectFromBounds(minX, minY, maxX + 1, maxY + 1) };
+  }
+
   /**
    * Composite one canvas onto another with a given globalCompositeOperation and alpha.
    */
@@ -612,6 +888,15 @@
       return rgba(c.r, c.g, c.b, c.a == null ? 1 : c.a);
     }
 
+    /**
+     * The normalized gray a mask is painted with for color: its luma, keeping its alpha.
+     */
+    toMaskGray(color) {
+      const c = this.normalizeColor(color);
+      const gray = Math.round(0.299 * c.r + 0.587 * c.g + 0.114 * c.b);
+      return this.normalizeColor({ r: gray, g: gray, b: gray, a: c.a });
+    }
+
     lighten(color, amount = 0.1) {
       const c = this.normalizeColor(color);
       const { h, s, l } = rgbToHsl(c.r, c.g, c.b);
@@ -641,13 +926,24 @@
   // Layer Management
   // =========================================================================================
 
+  /**
+   * A layer mask canvas filled with a single gray level.
+   */
+  function createMaskCanvas(width, height, fill = "white") {
+    const mask = createOffscreenCanvas(width, height);
+    const mctx = mask.getContext("2d");
+    mctx.fillStyle = fill;
+    mctx.fillRect(0, 0, width, height);
+    return mask;
+  }
+
   /**
    * Layer represents a single paintable canvas with properties and blend mode.
    */
   class Layer {
     constructor(width, height, options = {}) {
       assert(width > 0 && height > 0, "Layer requires positive dimensions");
-      this.id = uuid();
+      this.id = options.id || uuid(options.random);
       this.name = options.name || `Layer ${this.id.substring(0, 8)}`;
       this.visible = options.visible ?? true;
       this.opacity = clamp(options.opacity ?? 1.0, 0, 1);
@@ -656,9 +952,30 @@
       this.ctx = this.canvas.getContext("2d");
       this.locked = options.locked ?? false;
       this.isReference = options.isReference ?? false; // Reference layer not affected by edits
+      this.alphaLocked = options.alphaLocked ?? false; // edits may recolor but not add or remove coverage
+      this.clipped = options.clipped ?? false; // show only where the layer below has alpha
+      this.styles = (options.styles || []).map(normalizeLayerStyle); // see LAYER_STYLE_DEFAULTS
       this.depthCanvas = createOffscreenCanvas(width, height); // For height/depth effects
       this.depthCtx = this.depthCanvas.getContext("2d");
       this.meta = options.meta || {};
+      this.parent = options.parent || null; // enclosing LayerGroup, null at the top level
+      // Optional grayscale mask: white shows the layer, black hides it. Created by addMask().
+      this.maskCanvas = null;
+      this.maskCtx = null;
+      this.maskEnabled = options.maskEnabled ?? true;
+      this._maskAlpha = null; // mask luminance as an alpha-only canvas, rebuilt when dirty
+      this._maskDirty = true;
+      this._transform = null; // free transform in progress, see beginTransform()
+      // Relief lit by the document light, derived from depthCanvas by getShading()
+      this.shadeCanvas = null;
+      this.highlightCanvas = null;
+      this._shadeLight = null; // light the shading was rendered with
+      this._shadeDirtyRect = null; // heights changed since, see invalidateShading()
+      this._reliefJobs = []; // ReliefWorkerPool jobs relighting part of the relief
+      this._shadePaused = false; // see pauseShading()
+      this._dirtyRect = null; // area changed since the last incremental composite
+      this._version = 0; // bumped on every pixel change, keys cached renderings
+      this._contentVersion = 0; // like _version, but relighting the relief leaves it alone
       this.clear();
     }
 
@@ -666,188 +983,2748 @@
       const { width, height } = this.canvas;
       this.ctx.clearRect(0, 0, width, height);
       this.depthCtx.clearRect(0, 0, width, height);
+      this.invalidateShading();
+      this.markDirty();
     }
 
-    resize(width, height) {
-      const oldCanvas = this.canvas;
-      const oldDepth = this.depthCanvas;
-      const tmp = createOffscreenCanvas(width, height);
-      const tmpCtx = tmp.getContext("2d");
+    /**
+     * Record that rect (the whole layer if omitted) of the color, depth or mask canvas changed,
+     * so the next incremental composite redraws it. Call it after drawing into them directly.
+     * relit marks a change to the lit relief only, which leaves color and mask as they were.
+     */
+    markDirty(rect = null, { relit = false } = {}) {
+      const { width, height } = this.canvas;
+      this._version++;
+      if (!relit) this._contentVersion++;
+      this._dirtyRect = unionRect(this._dirtyRect, rect ? clipRect(rect, width, height) : { x: 0, y: 0, width, height });
+    }
 
-      tmpCtx.drawImage(oldCanvas, 0, 0, width, height);
+    /**
+     * Give the layer a mask filled with fill ("white" reveals everything, "black" hides it).
+     * Returns the mask canvas.
+     */
+    addMask(fill = "white") {
+      const mask = createMaskCanvas(this.canvas.width, this.canvas.height, fill);
+      this.setMask(mask);
+      return mask;
+    }
 
-      const tmpDepth = createOffscreenCanvas(width, height);
-      const tmpDepthCtx = tmpDepth.getContext("2d");
-      tmpDepthCtx.drawImage(oldDepth, 0, 0, width, height);
+    /**
+     * Install a mask canvas (or null to drop it). Anything drawn into maskCanvas directly
+     * must be followed by invalidateMask().
+     */
+    setMask(canvas) {
+      this.maskCanvas = canvas;
+      this.maskCtx = canvas ? canvas.getContext("2d") : null;
+      this._maskAlpha = null;
+      this.invalidateMask();
+    }
 
-      this.canvas = tmp;
-      this.ctx = tmpCtx;
-      this.depthCanvas = tmpDepth;
-      this.depthCtx = tmpDepthCtx;
+    invalidateMask(rect = null) {
+      this._maskDirty = true;
+      this.markDirty(rect);
     }
-  }
 
-  /**
-   * LayerManager handles a stack of layers, ordering, visibility, and blending.
-   */
-  class LayerManager {
-    constructor(width, height) {
-      this.width = width;
-      this.height = height;
-      this.layers = [];
-      this.activeLayerIndex = -1;
-      this.backgroundColor = "#ffffff";
-      this.compositeCanvas = createOffscreenCanvas(width, height);
-      this.compositeCtx = this.compositeCanvas.getContext("2d");
+    /**
+     * Mark the heights in rect (everything if omitted) as changed, so getShading() relights them.
+     */
+    invalidateShading(rect = null) {
+      const { width, height } = this.canvas;
+      // Relief being lit from the old heights would be stale
+      this.cancelShading();
+      this._shadeDirtyRect = unionRect(this._shadeDirtyRect, rect ? clipRect(rect, width, height) : { x: 0, y: 0, width, height });
     }
 
-    addLayer(options = {}) {
-      const layer = new Layer(this.width, this.height, options);
-      this.layers.push(layer);
-      if (this.activeLayerIndex === -1) {
-        this.activeLayerIndex = 0;
+    /**
+     * The relief in depthCanvas lit by light (a normalizeLight() result): { shade, highlight }
+     * canvases for a multiply and a screen pass. Only what was invalidated since the last call
+     * is relit, or everything when light is a different object.
+     *
+     * With a ReliefWorkerPool the relighting is sent to the workers in bands, one per worker,
+     * and the canvases keep the previous shading until each band comes back (the pool emits
+     * "relit"). Without one, pending worker jobs are cancelled and everything is relit here.
+     */
+    getShading(light, pool = null) {
+      const { width, height } = this.canvas;
+      const shade = this.shadeCanvas;
+      if (!shade || shade.width !== width || shade.height !== height) {
+        this.shadeCanvas = createOffscreenCanvas(width, height);
+        this.highlightCanvas = createOffscreenCanvas(width, height);
+        this._shadeLight = null;
       }
-      return layer;
+      if (light !== this._shadeLight) {
+        this._shadeLight = light;
+        this.invalidateShading();
+      }
+      // Without a pool, relief still out with the workers is relit here instead
+      if (!pool) this.cancelShading();
+      if (!this._shadeDirtyRect) {
+        // Up to date, or waiting for workers
+      } else if (!pool) {
+        const written = renderRelief(this.depthCanvas, this.shadeCanvas, this.highlightCanvas, light, this._shadeDirtyRect);
+        this._shadeDirtyRect = null;
+        if (written) this.markDirty(written, { relit: true });
+      } else if (!this._shadePaused && !this._reliefJobs.length) {
+        this._startRelief(light, pool);
+      }
+      return { shade: this.shadeCanvas, highlight: this.highlightCanvas };
     }
 
-    insertLayer(index, options = {}) {
-      const layer = new Layer(this.width, this.height, options);
-      this.layers.splice(index, 0, layer);
-      this.activeLayerIndex = index;
-      return layer;
+    /**
+     * Cancel the worker jobs relighting this layer; their areas stay invalid and are relit by
+     * the next getShading().
+     */
+    cancelShading() {
+      const jobs = this._reliefJobs;
+      this._reliefJobs = [];
+      for (const job of jobs) {
+        job.cancel();
+        this._shadeDirtyRect = unionRect(this._shadeDirtyRect, job.rect);
+      }
     }
 
-    removeLayer(index) {
-      if (index < 0 || index >= this.layers.length) return null;
-      const [removed] = this.layers.splice(index, 1);
-      this.activeLayerIndex = clamp(this.activeLayerIndex, 0, this.layers.length - 1);
-      return removed;
+    /**
+     * Cancel background relighting and start no more until resumeShading(). Strokes pause
+     * their layer while they paint its heights; getShading() without a pool still relights.
+     */
+    pauseShading() {
+      this._shadePaused = true;
+      this.cancelShading();
     }
 
-    moveLayer(fromIndex, toIndex) {
-      if (fromIndex === toIndex) return;
-      const l = this.layers.splice(fromIndex, 1)[0];
-      this.layers.splice(toIndex, 0, l);
-      this.activeLayerIndex = toIndex;
+    resumeShading() {
+      this._shadePaused = false;
     }
 
-    getActiveLayer() {
-      if (this.activeLayerIndex < 0 || this.activeLayerIndex >= this.layers.length) return null;
-      return this.layers[this.activeLayerIndex];
+    _startRelief(light, pool) {
+      const { width, height } = this.canvas;
+      const rect = this._shadeDirtyRect;
+      this._shadeDirtyRect = null;
+      // Bands of at least 64 rows, so small strokes are not split into tiny jobs
+      const bands = clamp(Math.floor(rect.height / 64), 1, pool.size);
+      for (let i = 0; i < bands; i++) {
+        const top = rect.y + Math.round((rect.height * i) / bands);
+        const bottom = rect.y + Math.round((rect.height * (i + 1)) / bands);
+        const band = { x: rect.x, y: top, width: rect.width, height: bottom - top };
+        const region = reliefRegion(band, light, width, height);
+        if (!region) continue;
+        const { readRect } = region;
+        const pixels = this.depthCtx.getImageData(readRect.x, readRect.y, readRect.width, readRect.height).data;
+        const job = pool.run(pixels, readRect.width, readRect.height, light);
+        job.rect = band;
+        this._reliefJobs.push(job);
+        job.promise.then(
+          (relief) => this._finishRelief(job, region, relief, pool),
+          // A failed worker leaves the band to this thread
+          () => this._finishRelief(job, region, null, pool)
+        );
+      }
     }
 
-    setActiveLayer(index) {
-      if (index < 0 || index >= this.layers.length) return;
-      this.activeLayerIndex = index;
+    _finishRelief(job, region, relief, pool) {
+      const index = this._reliefJobs.indexOf(job);
+      if (index === -1) return; // cancelled
+      this._reliefJobs.splice(index, 1);
+      if (relief) putRelief(this.shadeCanvas, this.highlightCanvas, region, relief);
+      else renderRelief(this.depthCanvas, this.shadeCanvas, this.highlightCanvas, this._shadeLight, job.rect);
+      this.markDirty(region.writeRect, { relit: true });
+      pool.emit("relit", { layer: this, rect: region.writeRect });
     }
 
-    compositeTo(ctx) {
-      const { width, height } = this.compositeCanvas;
-      // Clear composite
-      this.compositeCtx.save();
-      this.compositeCtx.globalCompositeOperation = "source-over";
-      this.compositeCtx.globalAlpha = 1.0;
-      this.compositeCtx.fillStyle = this.backgroundColor;
-      this.compositeCtx.fillRect(0, 0, width, height);
-      this.compositeCtx.restore();
+    hasActiveMask() {
+      return !!this.maskCanvas && this.maskEnabled;
+    }
 
-      // Draw each visible layer
-      for (const layer of this.layers) {
-        if (!layer.visible) continue;
-        compositeCanvas(layer.depthCanvas, this.compositeCtx, 0, 0, "multiply", layer.opacity);
-        compositeCanvas(layer.canvas, this.compositeCtx, 0, 0, layer.blendMode, layer.opacity);
+    invertMask() {
+      if (!this.maskCanvas) return;
+      const { width, height } = this.maskCanvas;
+      const img = this.maskCtx.getImageData(0, 0, width, height);
+      const d = img.data;
+      for (let i = 0; i < d.length; i += 4) {
+        d[i] = 255 - d[i];
+        d[i + 1] = 255 - d[i + 1];
+        d[i + 2] = 255 - d[i + 2];
+        d[i + 3] = 255;
       }
-
-      // Final draw to target
-      ctx.drawImage(this.compositeCanvas, 0, 0);
+      this.maskCtx.putImageData(img, 0, 0);
+      this.invalidateMask();
     }
 
-    clearAll() {
-      for (const layer of this.layers) {
-        layer.clear();
+    /**
+     * The mask as an alpha-only canvas: alpha is the mask's luminance, and transparent mask
+     * pixels (erased areas) count as black.
+     */
+    getMaskAlpha() {
+      if (!this.maskCanvas) return null;
+      const { width, height } = this.maskCanvas;
+      if (!this._maskAlpha || this._maskAlpha.width !== width || this._maskAlpha.height !== height) {
+        this._maskAlpha = createOffscreenCanvas(width, height);
+        this._maskDirty = true;
+      }
+      if (this._maskDirty) {
+        const src = this.maskCtx.getImageData(0, 0, width, height).data;
+        const out = new Uint8ClampedArray(src.length);
+        for (let i = 0; i < src.length; i += 4) {
+          const lum = 0.299 * src[i] + 0.587 * src[i + 1] + 0.114 * src[i + 2];
+          out[i + 3] = (lum * src[i + 3]) / 255;
+        }
+        this._maskAlpha.getContext("2d").putImageData(createImageData(out, width, height), 0, 0);
+        this._maskDirty = false;
       }
+      return this._maskAlpha;
     }
 
-    resize(width, height) {
-      this.width = width;
-      this.height = height;
-      for (const layer of this.layers) {
-        layer.resize(width, height);
-      }
-      this.compositeCanvas.width = width;
-      this.compositeCanvas.height = height;
+    /**
+     * Draw source (this layer's canvas or depthCanvas) into target with the mask applied,
+     * replacing target's contents. Returns target, or source itself when no mask is active.
+     */
+    renderMasked(source, target) {
+      if (!this.hasActiveMask()) return source;
+      const tctx = target.getContext("2d");
+      tctx.save();
+      tctx.setTransform(1, 0, 0, 1, 0, 0);
+      tctx.globalAlpha = 1;
+      tctx.globalCompositeOperation = "copy";
+      tctx.drawImage(source, 0, 0);
+      tctx.globalCompositeOperation = "destination-in";
+      tctx.drawImage(this.getMaskAlpha(), 0, 0);
+      tctx.restore();
+      return target;
     }
-  }
 
-  // =========================================================================================
-  // History Manager (Undo/Redo)
-  // =========================================================================================
+    /**
+     * Plain, JSON-safe copy of the layer's properties (everything but pixels and id).
+     * The result can be passed back to the constructor as options.
+     */
+    getProperties() {
+      return {
+        name: this.name,
+        visible: this.visible,
+        opacity: this.opacity,
+        blendMode: this.blendMode,
+        locked: this.locked,
+        alphaLocked: this.alphaLocked,
+        isReference: this.isReference,
+        clipped: this.clipped,
+        styles: deepClone(this.styles),
+        maskEnabled: this.maskEnabled,
+        meta: deepClone(this.meta),
+      };
+    }
 
-  class Command {
-    constructor(doFn, undoFn, label = "Unnamed Command") {
-      this.doFn = doFn;
-      this.undoFn = undoFn;
-      this.label = label;
+    resize(width, height) {
+      const oldCanvas = this.canvas;
+      const oldDepth = this.depthCanvas;
+      const tmp = createOffscreenCanvas(width, height);
+      const tmpCtx = tmp.getContext("2d");
+
+      tmpCtx.drawImage(oldCanvas, 0, 0, width, height);
+
+      const tmpDepth = createOffscreenCanvas(width, height);
+      const tmpDepthCtx = tmpDepth.getContext("2d");
+      tmpDepthCtx.drawImage(oldDepth, 0, 0, width, height);
+
+      this.canvas = tmp;
+      this.ctx = tmpCtx;
+      this.depthCanvas = tmpDepth;
+      this.depthCtx = tmpDepthCtx;
+
+      if (this.maskCanvas) {
+        const tmpMask = createOffscreenCanvas(width, height);
+        tmpMask.getContext("2d").drawImage(this.maskCanvas, 0, 0, width, height);
+        this.setMask(tmpMask);
+      }
+      this.invalidateShading();
+      this.markDirty();
     }
 
-    do() {
-      this.doFn && this.doFn();
+    /**
+     * Give the layer new width x height canvases, each filled by draw(ctx, oldCanvas, kind)
+     * with kind "color", "depth" or "mask". Unless revealExposed is false, mask areas the old
+     * mask does not reach reveal the layer; the mask's own pixels are kept as drawn.
+     */
+    rebuildCanvases(width, height, draw, { revealExposed = true } = {}) {
+      assert(!this._transform, `Layer "${this.name}" is being transformed`);
+      const rebuild = (old, kind) => {
+        const canvas = createOffscreenCanvas(width, height);
+        draw(canvas.getContext("2d"), old, kind);
+        return canvas;
+      };
+      this.canvas = rebuild(this.canvas, "color");
+      this.ctx = this.canvas.getContext("2d");
+      this.depthCanvas = rebuild(this.depthCanvas, "depth");
+      this.depthCtx = this.depthCanvas.getContext("2d");
+      if (this.maskCanvas) {
+        const old = this.maskCanvas;
+        this.setMask(rebuild(old, "mask"));
+        if (revealExposed) this._fillExposedMask(old.width, old.height, (ctx, footprint) => draw(ctx, footprint, "mask"));
+      }
+      this.invalidateShading();
+      this.markDirty();
     }
 
-    undo() {
-      this.undoFn && this.undoFn();
+    /**
+     * Change the layer size without scaling: the content moves by (offsetX, offsetY) and
+     * whatever ends up outside is cut off.
+     */
+    resizeCanvas(width, height, offsetX = 0, offsetY = 0) {
+      this.rebuildCanvases(width, height, (ctx, old) => ctx.drawImage(old, offsetX, offsetY));
     }
-  }
 
-  class HistoryManager {
-    constructor(limit = 100) {
-      this.undoStack = [];
-      this.redoStack = [];
-      this.limit = limit;
+    /**
+     * Scale the content to width x height with filter (see RESAMPLE_FILTERS).
+     */
+    resample(width, height, filter = "bilinear") {
+      this.rebuildCanvases(width, height, (ctx, old) => {
+        const matrix = { a: width / old.width, b: 0, c: 0, d: height / old.height, e: 0, f: 0 };
+        ctx.putImageData(resampleAffine(old, matrix, width, height, filter), 0, 0);
+      });
     }
 
-    push(command) {
-      this.undoStack.push(command);
-      if (this.undoStack.length > this.limit) {
-        this.undoStack.shift();
-      }
-      this.redoStack.length = 0;
-      command.do();
+    /**
+     * Turn the layer clockwise by quarter turns, swapping its width and height for odd turns.
+     * Pixels are moved, never resampled.
+     */
+    rotateCanvas(turns = 1) {
+      const { width, height } = this.canvas;
+      const quarter = ((turns % 4) + 4) % 4;
+      const matrices = [
+        IDENTITY_MATRIX,
+        { a: 0, b: 1, c: -1, d: 0, e: height, f: 0 },
+        { a: -1, b: 0, c: 0, d: -1, e: width, f: height },
+        { a: 0, b: -1, c: 1, d: 0, e: 0, f: width },
+      ];
+      const [w, h] = quarter % 2 ? [height, width] : [width, height];
+      this.rebuildCanvases(w, h, (ctx, old) => drawTransformed(ctx, old, matrices[quarter], false));
     }
 
-    undo() {
-      const cmd = this.undoStack.pop();
-      if (!cmd) return;
-      cmd.undo();
-      this.redoStack.push(cmd);
+    get isTransforming() {
+      return !!this._transform;
     }
 
-    redo() {
-      const cmd = this.redoStack.pop();
-      if (!cmd) return;
-      cmd.do();
-      this.undoStack.push(cmd);
+    /**
+     * Start a free transform. The color, depth and mask canvases are kept as the source that
+     * previewTransform() redraws from until commitTransform() or cancelTransform().
+     */
+    beginTransform() {
+      assert(!this._transform, `Layer "${this.name}" is already being transformed`);
+      const copy = (canvas) => {
+        const c = createOffscreenCanvas(canvas.width, canvas.height);
+        c.getContext("2d").drawImage(canvas, 0, 0);
+        return c;
+      };
+      this._transform = {
+        matrix: IDENTITY_MATRIX,
+        color: copy(this.canvas),
+        depth: copy(this.depthCanvas),
+        mask: this.maskCanvas ? copy(this.maskCanvas) : null,
+      };
     }
 
-    clear() {
-      this.undoStack.length = 0;
-      this.redoStack.length = 0;
+    /**
+     * Show the source drawn through matrix, using the canvas's own smoothing. Cheap enough to
+     * call on every pointer move.
+     */
+    previewTransform(matrix) {
+      assert(this._transform, "No transform in progress");
+      this._transform.matrix = { ...matrix };
+      for (const [ctx, source] of this._transformPasses()) drawTransformed(ctx, source, matrix);
+      this._fillTransformExposedMask(matrix, true);
+      this.invalidateShading();
+      this.markDirty();
     }
-  }
+
+    /**
+     * Resample the source through the current matrix with filter (see RESAMPLE_FILTERS) and
+     * end the transform. Returns the source canvases { color, depth, mask }.
+     */
+    commitTransform(filter = "bilinear") {
+      assert(this._transform, "No transform in progress");
+      const { matrix } = this._transform;
+      const { width, height } = this.canvas;
+      for (const [ctx, source] of this._transformPasses()) {
+        ctx.putImageData(resampleAffine(source, matrix, width, height, filter), 0, 0);
+      }
+      this._fillTransformExposedMask(matrix, filter !== "nearest");
+      this.invalidateShading();
+      this.markDirty();
+      return this._endTransform();
+    }
+
+    /**
+     * Put the source back and end the transform.
+     */
+    cancelTransform() {
+      assert(this._transform, "No transform in progress");
+      for (const [ctx, source] of this._transformPasses()) drawTransformed(ctx, source, IDENTITY_MATRIX, false);
+      if (this.maskCanvas) this.invalidateMask();
+      this.invalidateShading();
+      this.markDirty();
+      return this._endTransform();
+    }
+
+    /**
+     * Mirror the layer across its vertical ("horizontal" flip) or horizontal center line.
+     * Pixels are moved, never resampled.
+     */
+    flip(axis) {
+      this._transformExact(flipMatrix(axis, this.canvas.width, this.canvas.height));
+    }
+
+    /**
+     * Turn the layer clockwise by quarter turns about its center. Pixels are moved, never
+     * resampled; on a non-square layer the parts turned outside it are cropped.
+     */
+    rotate90(turns = 1) {
+      this._transformExact(quarterTurnMatrix(turns, this.canvas.width, this.canvas.height));
+    }
+
+    _transformExact(matrix) {
+      assert(!this._transform, `Layer "${this.name}" is being transformed`);
+      this.beginTransform();
+      for (const [ctx, source] of this._transformPasses()) drawTransformed(ctx, source, matrix, false);
+      this._fillTransformExposedMask(matrix, false);
+      this.invalidateShading();
+      this.markDirty();
+      this._endTransform();
+    }
+
+    _transformPasses() {
+      const { color, depth, mask } = this._transform;
+      const passes = [
+        [this.ctx, color],
+        [this.depthCtx, depth],
+      ];
+      if (mask && this.maskCanvas) passes.push([this.maskCtx, mask]);
+      return passes;
+    }
+
+    /**
+     * Reveal the layer, as a fresh mask does, where the mask was left uncovered: outside
+     * the footprint that drawFootprint(ctx, footprint) paints when given an opaque canvas of
+     * the old mask's size the way the old mask was drawn. Pixels the old mask covers,
+     * transparent ones included, are left alone.
+     */
+    _fillExposedMask(sourceWidth, sourceHeight, drawFootprint) {
+      const { width, height } = this.maskCanvas;
+      const source = createOffscreenCanvas(sourceWidth, sourceHeight);
+      const sctx = source.getContext("2d");
+      sctx.fillStyle = "white";
+      sctx.fillRect(0, 0, sourceWidth, sourceHeight);
+      const footprint = createOffscreenCanvas(width, height);
+      drawFootprint(footprint.getContext("2d"), source);
+      const exposed = createOffscreenCanvas(width, height);
+      const ectx = exposed.getContext("2d");
+      ectx.fillStyle = "white";
+      ectx.fillRect(0, 0, width, height);
+      ectx.globalCompositeOperation = "destination-out";
+      ectx.drawImage(footprint, 0, 0);
+      const ctx = this.maskCtx;
+      ctx.save();
+      ctx.globalCompositeOperation = "destination-over";
+      ctx.drawImage(exposed, 0, 0);
+      ctx.restore();
+      this.invalidateMask();
+    }
+
+    // The mask source of the transform in progress, drawn through matrix
+    _fillTransformExposedMask(matrix, smoothing) {
+      const { mask } = this._transform;
+      if (!mask || !this.maskCanvas) return;
+      this._fillExposedMask(mask.width, mask.height, (ctx, footprint) => drawTransformed(ctx, footprint, matrix, smoothing));
+    }
+
+    _endTransform() {
+      const { color, depth, mask } = this._transform;
+      this._transform = null;
+      return { color, depth, mask };
+    }
+  }
+
+  /**
+   * Where content stays put when the canvas is resized: [x, y] fractions of the size change
+   * that go to the left and top.
+   */
+  const ANCHOR_FRACTIONS = {
+    "top-left": [0, 0],
+    top: [0.5, 0],
+    "top-right": [1, 0],
+    left: [0, 0.5],
+    center: [0.5, 0.5],
+    right: [1, 0.5],
+    "bottom-left": [0, 1],
+    bottom: [0.5, 1],
+    "bottom-right": [1, 1],
+  };
+
+  const PASS_THROUGH = "pass-through";
+
+  /**
+   * LayerGroup organizes layers. Groups hold no pixels: LayerManager.layers stays a flat,
+   * bottom-to-top list and each layer (and group) points at its enclosing group through
+   * `parent`, so a group's members always form one contiguous run of that list. A group
+   * exists while it has at least one layer.
+   *
+   * blendMode is any BLEND_MODES entry, which composites the group in isolation, or
+   * "pass-through", which blends its children straight into what is below the group.
+   */
+  class LayerGroup {
+    constructor(options = {}) {
+      this.id = options.id || uuid(options.random);
+      this.name = options.name || "Group";
+      this.visible = options.visible ?? true;
+      this.opacity = clamp(options.opacity ?? 1.0, 0, 1);
+      this.blendMode = options.blendMode || PASS_THROUGH;
+      this.meta = options.meta || {};
+      this.parent = options.parent || null;
+      this.isGroup = true;
+    }
+
+    getProperties() {
+      return {
+        name: this.name,
+        visible: this.visible,
+        opacity: this.opacity,
+        blendMode: this.blendMode,
+        meta: deepClone(this.meta),
+      };
+    }
+  }
+
+  /**
+   * True if item (a layer or group) is nested anywhere inside group.
+   */
+  function isInGroup(item, group) {
+    for (let p = item.parent; p; p = p.parent) {
+      if (p === group) return true;
+    }
+    return false;
+  }
+
+  /**
+   * The item directly inside group on the way from layer up to group: the layer itself or one
+   * of its ancestor groups. group may be null for the top level. Returns null if layer is not inside it.
+   */
+  function childInGroup(layer, group) {
+    let item = layer;
+    while (item && item.parent !== group) item = item.parent;
+    return item;
+  }
+
+  /**
+   * Enclosing groups of an item, innermost first.
+   */
+  function groupAncestors(item) {
+    const out = [];
+    for (let p = item ? item.parent : null; p; p = p.parent) out.push(p);
+    return out;
+  }
+
+  /**
+   * Flatten the visible reference layers (color only, at their opacity) into a new canvas,
+   * for tools that sample from references. Returns null if there are none.
+   */
+  function renderReferenceLayers(layerManager) {
+    const refs = layerManager.layers.filter((l) => l.isReference && layerManager.isLayerVisible(l));
+    if (!refs.length) return null;
+    const out = createOffscreenCanvas(layerManager.width, layerManager.height);
+    const octx = out.getContext("2d");
+    for (const l of refs) compositeCanvas(l.canvas, octx, 0, 0, "source-over", l.opacity);
+    return out;
+  }
+
+  /**
+   * LayerManager handles a stack of layers, ordering, visibility, and blending.
+   */
+  class LayerManager {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.layers = [];
+      this.activeLayerIndex = -1;
+      this.backgroundColor = "#ffffff";
+      this.random = Math.random; // used for layer ids
+      // Blend every layer with the software engine (blendPixels) for identical results on all
+      // platforms. Modes canvas 2D lacks (SOFTWARE_BLEND_MODES) always blend in software.
+      this.softwareBlending = false;
+      this.light = normalizeLight(); // document light for every layer's relief, see setLight()
+      this.reliefWorkers = null; // ReliefWorkerPool for updateComposite({ deferRelief: true })
+      this.compositeCanvas = createOffscreenCanvas(width, height);
+      this.compositeCtx = this.compositeCanvas.getContext("2d");
+      this._groupBuffers = []; // scratch canvases for isolated groups, one per nesting depth
+      this._scratchBuffers = {}; // named full-size scratch canvases for masks and clipping
+      // Incremental compositing, see updateComposite()
+      this._compositeKey = null; // compositing properties at the last update
+      this._pendingRect = null; // invalidated area not owned by any layer
+      this._belowCache = null; // { canvas, split } flattened layers under the active one
+      this._region = null; // rect every drawing is clipped to during an incremental update
+      this._reliefPool = null; // reliefWorkers while an update defers relighting to them
+      this._clippedContexts = [];
+      this._styleCache = new WeakMap(); // layer -> { key, masked, canvas } styled color
+    }
+
+    addLayer(options = {}) {
+      const layer = new Layer(this.width, this.height, { random: this.random, ...options });
+      this.layers.push(layer);
+      if (this.activeLayerIndex === -1) {
+        this.activeLayerIndex = 0;
+      }
+      return layer;
+    }
+
+    /**
+     * Add an AdjustmentLayer above the active layer (or at the top if none is active).
+     */
+    addAdjustmentLayer(adjustment, options = {}) {
+      const layer = new AdjustmentLayer(this.width, this.height, { random: this.random, ...options, adjustment });
+      const index = this.activeLayerIndex + 1;
+      this.layers.splice(index, 0, layer);
+      layer.parent = this._parentAt(index, 1);
+      this.activeLayerIndex = index;
+      return layer;
+    }
+
+    insertLayer(index, options = {}) {
+      const layer = new Layer(this.width, this.height, { random: this.random, ...options });
+      this.layers.splice(index, 0, layer);
+      if (!options.parent) layer.parent = this._parentAt(index, 1);
+      this.activeLayerIndex = index;
+      return layer;
+    }
+
+    removeLayer(index) {
+      if (index < 0 || index >= this.layers.length) return null;
+      const [removed] = this.layers.splice(index, 1);
+      this.activeLayerIndex = clamp(this.activeLayerIndex, 0, this.layers.length - 1);
+      return removed;
+    }
+
+    /**
+     * Move a layer in the stack. It ends up in parent if given, or else in the innermost group
+     * that encloses both of its new neighbours. Pass a group to put the layer at its top or
+     * bottom edge; parent must be one of the groups around a neighbour that keeps every group
+     * contiguous (see _parentsBetween), or null where the slot is outside all groups.
+     */
+    moveLayer(fromIndex, toIndex, parent = undefined) {
+      if (fromIndex === toIndex && parent === undefined) return;
+      const l = this.layers[fromIndex];
+      const rest = this.layers.filter((item) => item !== l);
+      const parents = this._parentsBetween(rest[toIndex - 1], rest[toIndex]);
+      assert(parent === undefined || parents.includes(parent), `Layer "${l.name}" cannot join that group at index ${toIndex}`);
+      this.layers.splice(fromIndex, 1);
+      this.layers.splice(toIndex, 0, l);
+      l.parent = parent === undefined ? parents[parents.length - 1] : parent;
+      this.activeLayerIndex = toIndex;
+    }
+
+    /**
+     * Innermost group enclosing both neighbours of the run layers[index, index + count).
+     */
+    _parentAt(index, count) {
+      const parents = this._parentsBetween(this.layers[index - 1], this.layers[index + count]);
+      return parents[parents.length - 1];
+    }
+
+    /**
+     * Groups that items placed between the layers below and above (either may be missing)
+     * can belong to without splitting a group, innermost first. These are the groups around
+     * either neighbour inside the innermost group enclosing both, then that group itself
+     * (null when no group encloses both).
+     */
+    _parentsBetween(below, above) {
+      const belowChain = groupAncestors(below);
+      const aboveChain = groupAncestors(above);
+      const common = (below && above && belowChain.find((g) => aboveChain.includes(g))) || null;
+      const inside = (chain) => (common ? chain.slice(0, chain.indexOf(common)) : chain);
+      return [...inside(belowChain), ...inside(aboveChain), common];
+    }
+
+    /**
+     * All groups that currently contain layers, outer groups before the groups inside them.
+     */
+    getGroups() {
+      const seen = new Set();
+      const out = [];
+      for (const layer of this.layers) {
+        for (const g of groupAncestors(layer).reverse()) {
+          if (!seen.has(g)) {
+            seen.add(g);
+            out.push(g);
+          }
+        }
+      }
+      return out;
+    }
+
+    /**
+     * Range of layer indices [start, end) inside a group; null if the group has no layers.
+     */
+    getGroupRange(group) {
+      const start = this.layers.findIndex((l) => isInGroup(l, group));
+      if (start === -1) return null;
+      let end = start + 1;
+      while (end < this.layers.length && isInGroup(this.layers[end], group)) end++;
+      return { start, end };
+    }
+
+    /**
+     * Items (layers and groups) whose parent is group, bottom to top.
+     */
+    getGroupChildren(group) {
+      const out = [];
+      for (const layer of this.layers) {
+        const item = childInGroup(layer, group);
+        if (item && out[out.length - 1] !== item) out.push(item);
+      }
+      return out;
+    }
+
+    /**
+     * True if the layer and all of its enclosing groups are visible.
+     */
+    isLayerVisible(layer) {
+      return layer.visible && groupAncestors(layer).every((g) => g.visible);
+    }
+
+    /**
+     * Wrap layers[fromIndex..toIndex] (inclusive) in a group. The range must cover whole items
+     * of one level: it may not cut through an existing group. Pass an existing LayerGroup to
+     * reuse it (as redo does), or options for a new one.
+     */
+    groupLayers(fromIndex, toIndex, groupOrOptions = {}) {
+      const start = Math.min(fromIndex, toIndex);
+      const end = Math.max(fromIndex, toIndex) + 1;
+      assert(start >= 0 && end <= this.layers.length, "Group range is out of bounds");
+
+      const first = new Set([null, ...groupAncestors(this.layers[start])]);
+      let parent = null;
+      for (const g of [...groupAncestors(this.layers[end - 1]), null]) {
+        if (first.has(g)) {
+          parent = g;
+          break;
+        }
+      }
+      const children = [];
+      for (let i = start; i < end; i++) {
+        const item = childInGroup(this.layers[i], parent);
+        if (children[children.length - 1] !== item) children.push(item);
+      }
+      for (const item of children) {
+        if (!item.isGroup) continue;
+        const range = this.getGroupRange(item);
+        assert(range.start >= start && range.end <= end, `Range cuts through group "${item.name}"`);
+      }
+
+      const group =
+        groupOrOptions instanceof LayerGroup ? groupOrOptions : new LayerGroup({ random: this.random, ...groupOrOptions });
+      group.parent = parent;
+      for (const item of children) item.parent = group;
+      return group;
+    }
+
+    /**
+     * Dissolve a group, moving its children up one level. Returns the former children.
+     */
+    ungroup(group) {
+      const children = this.getGroupChildren(group);
+      for (const item of children) item.parent = group.parent;
+      return children;
+    }
+
+    /**
+     * Move a whole group so its bottom layer lands at toIndex (an index into the stack without
+     * the group). The group joins the innermost group around its new position unless parent is
+     * given, which must be allowed there as for moveLayer().
+     */
+    moveGroup(group, toIndex, parent = undefined) {
+      const range = this.getGroupRange(group);
+      if (!range) return;
+      const active = this.getActiveLayer();
+      const rest = this.layers.filter((l, i) => i < range.start || i >= range.end);
+      const at = clamp(toIndex, 0, rest.length);
+      const parents = this._parentsBetween(rest[at - 1], rest[at]);
+      assert(parent === undefined || parents.includes(parent), `Group "${group.name}" cannot join that group at index ${at}`);
+      const block = this.layers.splice(range.start, range.end - range.start);
+      this.layers.splice(at, 0, ...block);
+      group.parent = parent === undefined ? parents[parents.length - 1] : parent;
+      this.activeLayerIndex = this.layers.indexOf(active);
+    }
+
+    /**
+     * Remove a group and every layer inside it. Returns { start, layers } for restoreGroup().
+     */
+    removeGroup(group) {
+      const range = this.getGroupRange(group);
+      if (!range) return null;
+      const active = this.getActiveLayer();
+      const layers = this.layers.splice(range.start, range.end - range.start);
+      const index = this.layers.indexOf(active);
+      this.activeLayerIndex = index !== -1 ? index : clamp(range.start - 1, 0, this.layers.length - 1);
+      if (!this.layers.length) this.activeLayerIndex = -1;
+      return { start: range.start, layers };
+    }
+
+    /**
+     * Put back layers removed by removeGroup(). They still reference their groups.
+     */
+    restoreGroup(removed) {
+      const active = this.getActiveLayer();
+      this.layers.splice(removed.start, 0, ...removed.layers);
+      this.activeLayerIndex = active ? this.layers.indexOf(active) : removed.start;
+    }
+
+    getActiveLayer() {
+      if (this.activeLayerIndex < 0 || this.activeLayerIndex >= this.layers.length) return null;
+      return this.layers[this.activeLayerIndex];
+    }
+
+    setActiveLayer(index) {
+      if (index < 0 || index >= this.layers.length) return;
+      this.activeLayerIndex = index;
+    }
+
+    compositeTo(ctx) {
+      const { width, height } = this.compositeCanvas;
+      // Clear composite
+      this.compositeCtx.save();
+      this.compositeCtx.globalCompositeOperation = "source-over";
+      this.compositeCtx.globalAlpha = 1.0;
+      this.compositeCtx.fillStyle = this.backgroundColor;
+      this.compositeCtx.fillRect(0, 0, width, height);
+      this.compositeCtx.restore();
+
+      // Draw each visible layer, compositing groups as they are encountered
+      this._compositeItems(this.compositeCtx, 0, this.layers.length, null, 1.0, 0);
+
+      // Final draw to target
+      ctx.drawImage(this.compositeCanvas, 0, 0);
+    }
+
+    /**
+     * Change the document light (see LIGHT_DEFAULTS). settings are merged into the current
+     * light; every layer's relief is relit from its unchanged heights. Returns the new light.
+     */
+    setLight(settings = {}) {
+      this.light = normalizeLight(settings, this.light);
+      return this.light;
+    }
+
+    /**
+     * Mark rect (everything if omitted) for recompositing, for changes that belong to no
+     * layer. Pixel changes are reported through Layer.markDirty().
+     */
+    invalidate(rect = null) {
+      if (rect) this._pendingRect = unionRect(this._pendingRect, rect);
+      else this._compositeKey = null;
+    }
+
+    /**
+     * Bring compositeCanvas up to date, redrawing only the union of the layers' dirty rects
+     * (grown by the reach of their styles), or everything when the stack or a compositing
+     * property changed. The layers under the active one are kept flattened in a cache, so
+     * painting recomposites only the active layer and those above it.
+     * Returns the rect that was redrawn, or null if nothing changed.
+     *
+     * With deferRelief, relief waiting to be relit is sent to reliefWorkers (if set) and drawn
+     * with its previous shading until they emit "relit"; otherwise it is relit right here.
+     */
+    updateComposite({ deferRelief = false } = {}) {
+      this._reliefPool = deferRelief ? this.reliefWorkers : null;
+      try {
+        return this._updateComposite();
+      } finally {
+        this._reliefPool = null;
+      }
+    }
+
+    _updateComposite() {
+      const { width, height } = this;
+      const full = { x: 0, y: 0, width, height };
+      const split = this._cacheSplit();
+      // Relight invalidated relief first; that marks the layers dirty where it changed
+      for (const layer of this.layers) {
+        if (!layer.isAdjustment) layer.getShading(this.light, this._reliefPool);
+      }
+      let below = this._pendingRect;
+      let above = null;
+      this.layers.forEach((layer, i) => {
+        const dirty = layer._dirtyRect && clipRect(inflateRect(layer._dirtyRect, layerStyleReach(layer.styles)), width, height);
+        layer._dirtyRect = null;
+        if (i < split) below = unionRect(below, dirty);
+        else above = unionRect(above, dirty);
+      });
+      this._pendingRect = null;
+      const key = this._compositeState();
+      if (key !== this._compositeKey) {
+        this._compositeKey = key;
+        below = full;
+      }
+
+      let cache = this._belowCache;
+      let cacheRect = below;
+      if (!cache || cache.split !== split || cache.canvas.width !== width || cache.canvas.height !== height) {
+        cache = this._belowCache = { canvas: createOffscreenCanvas(width, height), split };
+        cacheRect = full;
+      }
+      const cctx = cache.canvas.getContext("2d");
+      if (cacheRect) {
+        this._inRegion(cacheRect, () => {
+          this._clipContext(cctx);
+          cctx.clearRect(0, 0, width, height);
+          cctx.fillStyle = this.backgroundColor;
+          cctx.fillRect(0, 0, width, height);
+          this._compositeItems(cctx, 0, split, null, 1.0, 0);
+        });
+      }
+
+      const rect = unionRect(below, above);
+      if (rect) {
+        this._inRegion(rect, () => {
+          this._clipContext(this.compositeCtx);
+          this.compositeCtx.globalCompositeOperation = "copy";
+          this.compositeCtx.drawImage(cache.canvas, 0, 0);
+          this.compositeCtx.globalCompositeOperation = "source-over";
+          this._compositeItems(this.compositeCtx, split, this.layers.length, null, 1.0, 0);
+        });
+      }
+      return rect;
+    }
+
+    // First layer drawn over the cache: the active layer, or the bottom of the top-level
+    // group or clip chain it is part of, since those composite as a unit
+    _cacheSplit() {
+      let split = Math.max(0, this.activeLayerIndex);
+      while (split > 0) {
+        const ancestors = groupAncestors(this.layers[split]);
+        if (ancestors.length) return this.getGroupRange(ancestors[ancestors.length - 1]).start;
+        if (!this.layers[split].clipped) break;
+        split--;
+      }
+      return split;
+    }
+
+    // Everything but pixels that the composite depends on
+    _compositeState() {
+      const item = (it) => [it.id, it.parent && it.parent.id, !!it.maskCanvas, it.getProperties()];
+      return JSON.stringify([
+        this.width,
+        this.height,
+        this.backgroundColor,
+        this.softwareBlending,
+        this.light,
+        this.layers.map(item),
+        this.getGroups().map(item),
+      ]);
+    }
+
+    _inRegion(rect, draw) {
+      this._region = rect;
+      try {
+        draw();
+      } finally {
+        for (const ctx of this._clippedContexts) ctx.restore();
+        this._clippedContexts = [];
+        this._region = null;
+      }
+    }
+
+    // Clip ctx to the region being updated, once per update
+    _clipContext(ctx) {
+      if (!this._region || this._clippedContexts.includes(ctx)) return;
+      const { x, y, width, height } = this._region;
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, width, height);
+      ctx.clip();
+      this._clippedContexts.push(ctx);
+    }
+
+    /**
+     * Composite layers[start, end), all inside parent, onto ctx. Isolated groups are flattened
+     * into a scratch canvas first; pass-through groups draw their children directly, with the
+     * group opacity folded into each child's.
+     *
+     * A clipped layer is drawn only where its base (the nearest unclipped layer below it at the
+     * same level) has alpha, and takes on the base's visibility and opacity. Each layer of a
+     * clip chain still blends onto the backdrop with its own blendMode and opacity.
+     */
+    _compositeItems(ctx, start, end, parent, opacity, depth) {
+      let base = null; // clip base for the layers above, null if the item below is a group
+      let baseAlpha = null;
+      let i = start;
+      while (i < end) {
+        const layer = this.layers[i];
+        const item = childInGroup(layer, parent);
+        if (item === layer) {
+          if (layer.clipped && base) {
+            if (base.visible && layer.visible) {
+              baseAlpha = baseAlpha || base.renderMasked(base.canvas, this._scratch("clipBase"));
+              this.drawLayer(ctx, layer, opacity * base.opacity, baseAlpha);
+            }
+          } else {
+            if (layer.visible) this.drawLayer(ctx, layer, opacity, null);
+            base = layer;
+            baseAlpha = null;
+          }
+          i++;
+          continue;
+        }
+        base = null;
+
+        let j = i + 1;
+        while (j < end && isInGroup(this.layers[j], item)) j++;
+        if (item.visible) {
+          if (item.blendMode === PASS_THROUGH) {
+            this._compositeItems(ctx, i, j, item, opacity * item.opacity, depth);
+          } else {
+            const buffer = this._groupBuffer(depth);
+            const bctx = buffer.getContext("2d");
+            bctx.clearRect(0, 0, buffer.width, buffer.height);
+            this._compositeItems(bctx, i, j, item, 1.0, depth + 1);
+            this._blend(buffer, ctx, item.blendMode, opacity * item.opacity);
+          }
+        }
+        i = j;
+      }
+    }
+
+    /**
+     * Draw one layer's relief and color passes onto ctx exactly as compositeTo does: masked,
+     * styled, at the layer's opacity times opacity, and clipped to clipAlpha if given. With
+     * relief false only the color pass is drawn.
+     */
+    drawLayer(ctx, layer, opacity = 1.0, clipAlpha = null, { relief = true } = {}) {
+      if (layer.isAdjustment) {
+        this._drawAdjustment(ctx, layer, opacity, clipAlpha);
+        return;
+      }
+      const scratch = layer.hasActiveMask() ? this._scratch("mask") : null;
+      const passes = [];
+      if (relief) {
+        const { shade, highlight } = layer.getShading(this.light, this._reliefPool);
+        passes.push([shade, "multiply"]);
+        if (this.light.specular > 0) passes.push([highlight, "screen"]);
+      }
+      passes.push([layer.canvas, layer.blendMode]);
+      const styled = layer.styles.some((s) => s.enabled);
+      for (const [source, mode] of passes) {
+        let drawn = source === layer.canvas && styled ? this._styledColor(layer) : layer.renderMasked(source, scratch);
+        if (clipAlpha) drawn = this._clipTo(drawn, clipAlpha);
+        this._blend(drawn, ctx, mode, layer.opacity * opacity);
+      }
+    }
+
+    _blend(source, ctx, mode, opacity) {
+      if (SOFTWARE_BLEND_MODES.includes(mode) || (this.softwareBlending && BLEND_MODES.includes(mode))) {
+        blendCanvas(source, ctx, mode, opacity, this._region);
+      } else {
+        compositeCanvas(source, ctx, 0, 0, mode, opacity);
+      }
+    }
+
+    /**
+     * Recolor what ctx holds so far with an adjustment layer. The adjusted copy is made opaque
+     * and drawn source-atop, so opacity and mask mix old and new colors without changing alpha.
+     */
+    _drawAdjustment(ctx, layer, opacity, clipAlpha) {
+      const r = this._region || { x: 0, y: 0, width: this.width, height: this.height };
+      const img = ctx.getImageData(r.x, r.y, r.width, r.height);
+      layer.applyTo(img);
+      for (let i = 3; i < img.data.length; i += 4) img.data[i] = 255;
+      const adjusted = this._scratch("adjust");
+      adjusted.getContext("2d").putImageData(img, r.x, r.y);
+      let drawn = layer.renderMasked(adjusted, this._scratch("mask"));
+      if (clipAlpha) drawn = this._clipTo(drawn, clipAlpha);
+      compositeCanvas(drawn, ctx, 0, 0, "source-atop", layer.opacity * opacity);
+    }
+
+    _clipTo(source, clipAlpha) {
+      const clip = this._scratch("clip");
+      const cctx = clip.getContext("2d");
+      cctx.save();
+      cctx.globalCompositeOperation = "copy";
+      cctx.drawImage(source, 0, 0);
+      cctx.globalCompositeOperation = "destination-in";
+      cctx.drawImage(clipAlpha, 0, 0);
+      cctx.restore();
+      return clip;
+    }
+
+    /**
+     * The layer's masked color with its styles, rendered from the whole layer since styles
+     * reach past the pixels that changed, and cached until its color, mask or styles change.
+     * Relighting the relief does not touch the styled color, so it keeps the cache.
+     */
+    _styledColor(layer) {
+      const { width, height } = layer.canvas;
+      let cache = this._styleCache.get(layer);
+      if (!cache || cache.canvas.width !== width || cache.canvas.height !== height) {
+        cache = { key: null, masked: createOffscreenCanvas(width, height), canvas: createOffscreenCanvas(width, height) };
+        this._styleCache.set(layer, cache);
+      }
+      const key = JSON.stringify([layer._contentVersion, layer.maskEnabled, layer.styles]);
+      if (cache.key !== key) {
+        renderLayerStyles(layer.renderMasked(layer.canvas, cache.masked), layer.styles, cache.canvas);
+        cache.key = key;
+      }
+      return cache.canvas;
+    }
+
+    _scratch(name) {
+      let buffer = this._scratchBuffers[name];
+      if (!buffer || buffer.width !== this.width || buffer.height !== this.height) {
+        buffer = this._scratchBuffers[name] = createOffscreenCanvas(this.width, this.height);
+      }
+      this._clipContext(buffer.getContext("2d"));
+      return buffer;
+    }
+
+    _groupBuffer(depth) {
+      let buffer = this._groupBuffers[depth];
+      if (!buffer || buffer.width !== this.width || buffer.height !== this.height) {
+        buffer = this._groupBuffers[depth] = createOffscreenCanvas(this.width, this.height);
+      }
+      this._clipContext(buffer.getContext("2d"));
+      return buffer;
+    }
+
+    clearAll() {
+      for (const layer of this.layers) {
+        layer.clear();
+      }
+    }
+
+    resize(width, height) {
+      for (const layer of this.layers) {
+        layer.resize(width, height);
+      }
+      this._setSize(width, height);
+    }
+
+    /**
+     * Change the document size without scaling, moving all content by (offsetX, offsetY).
+     */
+    resizeCanvas(width, height, offsetX = 0, offsetY = 0) {
+      for (const layer of this.layers) {
+        layer.resizeCanvas(width, height, offsetX, offsetY);
+      }
+      this._setSize(width, height);
+    }
+
+    /**
+     * Scale every layer to width x height with filter (see RESAMPLE_FILTERS).
+     */
+    resample(width, height, filter = "bilinear") {
+      for (const layer of this.layers) {
+        layer.resample(width, height, filter);
+      }
+      this._setSize(width, height);
+    }
+
+    /**
+     * Turn the document clockwise by quarter turns.
+     */
+    rotateCanvas(turns = 1) {
+      for (const layer of this.layers) {
+        layer.rotateCanvas(turns);
+      }
+      if (turns % 2) this._setSize(this.height, this.width);
+    }
+
+    _setSize(width, height) {
+      this.width = width;
+      this.height = height;
+      this.compositeCanvas.width = width;
+      this.compositeCanvas.height = height;
+    }
+  }
+
+  // =========================================================================================
+  // Adjustment Layers
+  // =========================================================================================
+
+  /**
+   * Adjustment types and their default parameters.
+   * - "hue-saturation": hue in degrees, saturation and lightness in [-1, 1]
+   * - levels: input black/white point and gamma, then output black/white point (0-255)
+   * - curves: control points [[in, out], ...] (0-255) for the composite "rgb" curve and
+   *   optionally for the r, g and b channels alone
+   * - "color-balance": cyanRed, magentaGreen and yellowBlue shifts in [-1, 1] for shadows,
+   *   midtones and highlights, optionally keeping each pixel's lightness
+   */
+  const ADJUSTMENT_DEFAULTS = {
+    "hue-saturation": { hue: 0, saturation: 0, lightness: 0 },
+    levels: { inputBlack: 0, inputWhite: 255, gamma: 1, outputBlack: 0, outputWhite: 255 },
+    curves: {
+      rgb: [
+        [0, 0],
+        [255, 255],
+      ],
+      r: null,
+      g: null,
+      b: null,
+    },
+    "color-balance": {
+      shadows: { cyanRed: 0, magentaGreen: 0, yellowBlue: 0 },
+      midtones: { cyanRed: 0, magentaGreen: 0, yellowBlue: 0 },
+      highlights: { cyanRed: 0, magentaGreen: 0, yellowBlue: 0 },
+      preserveLuminosity: true,
+    },
+  };
+
+  /**
+   * 256-entry lookup table through curve control points, using monotone cubic interpolation
+   * so the curve never overshoots between points.
+   */
+  function curveLUT(points) {
+    const pts = points
+      .map(([x, y]) => [clamp(x, 0, 255), clamp(y, 0, 255)])
+      .sort((a, b) => a[0] - b[0])
+      .filter((p, i, arr) => i === 0 || p[0] !== arr[i - 1][0]);
+    const lut = new Uint8ClampedArray(256);
+    if (pts.length === 1) return lut.fill(pts[0][1]);
+
+    const n = pts.length;
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) slopes.push((pts[i + 1][1] - pts[i][1]) / (pts[i + 1][0] - pts[i][0]));
+    const tangents = [slopes[0]];
+    for (let i = 1; i < n - 1; i++) {
+      tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+    }
+    tangents.push(slopes[n - 2]);
+    // Fritsch-Carlson: limit tangents so each segment stays monotone
+    for (let i = 0; i < n - 1; i++) {
+      if (slopes[i] === 0) {
+        tangents[i] = tangents[i + 1] = 0;
+        continue;
+      }
+      const a = tangents[i] / slopes[i];
+      const b = tangents[i + 1] / slopes[i];
+      const h = Math.hypot(a, b);
+      if (h > 3) {
+        tangents[i] = (3 * a * slopes[i]) / h;
+        tangents[i + 1] = (3 * b * slopes[i]) / h;
+      }
+    }
+
+    let seg = 0;
+    for (let x = 0; x < 256; x++) {
+      if (x <= pts[0][0]) {
+        lut[x] = pts[0][1];
+        continue;
+      }
+      if (x >= pts[n - 1][0]) {
+        lut[x] = pts[n - 1][1];
+        continue;
+      }
+      while (x > pts[seg + 1][0]) seg++;
+      const [x0, y0] = pts[seg];
+      const [x1, y1] = pts[seg + 1];
+      const h = x1 - x0;
+      const t = (x - x0) / h;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      lut[x] =
+        (2 * t3 - 3 * t2 + 1) * y0 +
+        (t3 - 2 * t2 + t) * h * tangents[seg] +
+        (-2 * t3 + 3 * t2) * y1 +
+        (t3 - t2) * h * tangents[seg + 1];
+    }
+    return lut;
+  }
+
+  /**
+   * Build a function that applies an adjustment in place to RGBA pixel data. Alpha is left alone.
+   */
+  function compileAdjustment(type, params) {
+    if (type === "levels") {
+      const { inputBlack, inputWhite, gamma, outputBlack, outputWhite } = params;
+      const lut = new Uint8ClampedArray(256);
+      const range = Math.max(1, inputWhite - inputBlack);
+      const invGamma = 1 / Math.max(0.01, gamma);
+      for (let v = 0; v < 256; v++) {
+        const t = Math.pow(clamp((v - inputBlack) / range, 0, 1), invGamma);
+        lut[v] = outputBlack + (outputWhite - outputBlack) * t;
+      }
+      return (data) => {
+        for (let i = 0; i < data.length; i += 4) {
+          data[i] = lut[data[i]];
+          data[i + 1] = lut[data[i + 1]];
+          data[i + 2] = lut[data[i + 2]];
+        }
+      };
+    }
+
+    if (type === "curves") {
+      const master = curveLUT(params.rgb);
+      // Channel curves apply first, then the composite curve
+      const channels = [params.r, params.g, params.b].map((points) => {
+        const lut = points ? curveLUT(points) : null;
+        const out = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) out[v] = master[lut ? lut[v] : v];
+        return out;
+      });
+      return (data) => {
+        for (let i = 0; i < data.length; i += 4) {
+          data[i] = channels[0][data[i]];
+          data[i + 1] = channels[1][data[i + 1]];
+          data[i + 2] = channels[2][data[i + 2]];
+        }
+      };
+    }
+
+    if (type === "hue-saturation") {
+      const { hue, saturation, lightness } = params;
+      return (data) => {
+        for (let i = 0; i < data.length; i += 4) {
+          let { h, s, l } = rgbToHsl(data[i], data[i + 1], data[i + 2]);
+          h = (((h + hue) % 360) + 360) % 360;
+          s = clamp(s * (1 + saturation), 0, 1);
+          l = lightness > 0 ? l + (1 - l) * lightness : l * (1 + lightness);
+          const c = hslToRgb(h, s, clamp(l, 0, 1));
+          data[i] = c.r;
+          data[i + 1] = c.g;
+          data[i + 2] = c.b;
+        }
+      };
+    }
+
+    if (type === "color-balance") {
+      const { shadows, midtones, highlights, preserveLuminosity } = params;
+      // Tonal range weights over lightness, as in GIMP's color balance
+      const a = 0.25;
+      const b = 0.333;
+      const scale = 0.7;
+      const shift = (v, l, key) => {
+        const sh = clamp((l - b) / -a + 0.5, 0, 1) * scale;
+        const mid = clamp((l - b) / a + 0.5, 0, 1) * clamp((l + b - 1) / -a + 0.5, 0, 1) * scale;
+        const hi = clamp((l + b - 1) / a + 0.5, 0, 1) * scale;
+        return clamp(v + shadows[key] * sh + midtones[key] * mid + highlights[key] * hi, 0, 1);
+      };
+      return (data) => {
+        for (let i = 0; i < data.length; i += 4) {
+          const r = data[i] / 255;
+          const g = data[i + 1] / 255;
+          const bl = data[i + 2] / 255;
+          const l = (Math.max(r, g, bl) + Math.min(r, g, bl)) / 2;
+          let nr = shift(r, l, "cyanRed") * 255;
+          let ng = shift(g, l, "magentaGreen") * 255;
+          let nb = shift(bl, l, "yellowBlue") * 255;
+          if (preserveLuminosity) {
+            const hsl = rgbToHsl(nr, ng, nb);
+            ({ r: nr, g: ng, b: nb } = hslToRgb(hsl.h, hsl.s, l));
+          }
+          data[i] = nr;
+          data[i + 1] = ng;
+          data[i + 2] = nb;
+        }
+      };
+    }
+
+    throw new Error(`Unknown adjustment: ${type}`);
+  }
+
+  /**
+   * AdjustmentLayer holds adjustment parameters instead of pixels. While compositing it
+   * recolors everything beneath it (inside its group, if the group is isolated), faded by its
+   * opacity and limited by its mask. Its color canvas stays empty and is never painted;
+   * depth is ignored. blendMode is not used.
+   */
+  class AdjustmentLayer extends Layer {
+    constructor(width, height, options = {}) {
+      const adjustment = options.adjustment || { type: "hue-saturation" };
+      super(width, height, { name: adjustment.type, ...options });
+      this.isAdjustment = true;
+      this.adjustment = adjustment;
+    }
+
+    /**
+     * { type, params } as a plain copy. Assigning it replaces the adjustment; missing
+     * parameters take their defaults.
+     */
+    get adjustment() {
+      return { type: this.adjustmentType, params: deepClone(this.params) };
+    }
+
+    set adjustment({ type, params = {} }) {
+      assert(ADJUSTMENT_DEFAULTS[type], `Unknown adjustment: ${type}`);
+      this.adjustmentType = type;
+      this.params = { ...deepClone(ADJUSTMENT_DEFAULTS[type]), ...deepClone(params) };
+      this._apply = null;
+    }
+
+    /**
+     * Merge params into the current parameters.
+     */
+    setParams(params) {
+      this.adjustment = { type: this.adjustmentType, params: { ...this.params, ...params } };
+    }
+
+    getProperties() {
+      return { ...super.getProperties(), adjustment: this.adjustment };
+    }
+
+    /**
+     * Apply the adjustment in place to an ImageData.
+     */
+    applyTo(imageData) {
+      if (!this._apply) this._apply = compileAdjustment(this.adjustmentType, this.params);
+      this._apply(imageData.data);
+    }
+  }
+
+  // =========================================================================================
+  // Layer Styles
+  // =========================================================================================
+
+  /**
+   * Layer style types and their settings. Sizes and distances are in pixels, angles in degrees
+   * (the direction the light comes from, 90 = from above), opacities in [0, 1].
+   * Styles are plain objects { type, enabled, ...settings } kept in Layer.styles.
+   */
+  const LAYER_STYLE_DEFAULTS = {
+    "drop-shadow": { color: "#000000", opacity: 0.75, angle: 120, distance: 5, size: 5 },
+    "outer-glow": { color: "#ffffbe", opacity: 0.75, size: 8 },
+    "inner-glow": { color: "#ffffbe", opacity: 0.75, size: 8 },
+    stroke: { color: "#000000", opacity: 1, size: 3, position: "outside" }, // "outside" | "inside" | "center"
+    bevel: {
+      depth: 3,
+      size: 5,
+      angle: 120,
+      altitude: 30,
+      highlightColor: "#ffffff",
+      highlightOpacity: 0.75,
+      shadowColor: "#000000",
+      shadowOpacity: 0.75,
+    },
+  };
+
+  /**
+   * A complete, independent copy of a style with defaults filled in.
+   */
+  function normalizeLayerStyle(style) {
+    assert(style && LAYER_STYLE_DEFAULTS[style.type], `Unknown layer style: ${style && style.type}`);
+    return { ...LAYER_STYLE_DEFAULTS[style.type], enabled: true, ...deepClone(style) };
+  }
+
+  /**
+   * Squared Euclidean distance from every pixel to the nearest pixel where feature is set
+   * (Felzenszwalb-Huttenlocher, linear time).
+   */
+  function squaredDistanceTransform(feature, width, height) {
+    const INF = 1e20;
+    const dist = new Float32Array(width * height);
+    for (let i = 0; i < dist.length; i++) dist[i] = feature[i] ? 0 : INF;
+
+    const n = Math.max(width, height);
+    const f = new Float32Array(n);
+    const d = new Float32Array(n);
+    const v = new Int32Array(n);
+    const z = new Float32Array(n + 1);
+    const pass = (len) => {
+      let k = 0;
+      v[0] = 0;
+      z[0] = -INF;
+      z[1] = INF;
+      for (let q = 1; q < len; q++) {
+        let s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+          k--;
+          s = (f[q] + q * q - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = INF;
+      }
+      k = 0;
+      for (let q = 0; q < len; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+      }
+    };
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) f[y] = dist[y * width + x];
+      pass(height);
+      for (let y = 0; y < height; y++) dist[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) f[x] = dist[y * width + x];
+      pass(width);
+      for (let x = 0; x < width; x++) dist[y * width + x] = d[x];
+    }
+    return dist;
+  }
+
+  /**
+   * Gaussian blur of a single-channel (alpha) buffer, via gaussianBlurImageData.
+   */
+  function blurAlpha(alpha, width, height, radius) {
+    if (radius < 1) return alpha;
+    const rgba = new Uint8ClampedArray(alpha.length * 4);
+    for (let i = 0; i < alpha.length; i++) rgba[i * 4 + 3] = alpha[i];
+    const blurred = gaussianBlurImageData(createImageData(rgba, width, height), radius).data;
+    const out = new Uint8ClampedArray(alpha.length);
+    for (let i = 0; i < alpha.length; i++) out[i] = blurred[i * 4 + 3];
+    return out;
+  }
+
+  /**
+   * Stroke coverage around (outside) or within (inside) the shape described by alpha.
+   */
+  function strokeCoverage(alpha, width, height, size, side) {
+    const feature = new Uint8Array(alpha.length);
+    for (let i = 0; i < alpha.length; i++) feature[i] = side === "outside" ? alpha[i] >= 128 : alpha[i] < 128;
+    const dist = squaredDistanceTransform(feature, width, height);
+    const out = new Uint8ClampedArray(alpha.length);
+    for (let i = 0; i < alpha.length; i++) {
+      // One pixel of falloff past size keeps the outline antialiased
+      const band = clamp(size + 1 - Math.sqrt(dist[i]), 0, 1);
+      out[i] = band * (side === "outside" ? 255 - alpha[i] : alpha[i]);
+    }
+    return out;
+  }
+
+  /**
+   * Bevel highlight and shadow coverage: the blurred alpha is used as a height map and lit
+   * from angle/altitude; pixels facing the light more than flat ground get highlight, the
+   * others shadow.
+   */
+  function bevelCoverage(alpha, width, height, style) {
+    const soft = blurAlpha(alpha, width, height, style.size);
+    const heights = new Uint8ClampedArray(alpha.length * 4);
+    for (let i = 0; i < alpha.length; i++) {
+      heights[i * 4] = heights[i * 4 + 1] = heights[i * 4 + 2] = soft[i];
+      heights[i * 4 + 3] = 255;
+    }
+    const normals = heightToNormalMap(createImageData(heights, width, height), style.depth);
+    const angle = deg2rad(style.angle);
+    const altitude = deg2rad(style.altitude);
+    const light = {
+      x: Math.cos(angle) * Math.cos(altitude),
+      y: -Math.sin(angle) * Math.cos(altitude),
+      z: Math.sin(altitude),
+    };
+    const shade = shadeFromNormalMap(normals, light, 0).data;
+    const flat = Math.sin(altitude) * 255;
+    const highlight = new Uint8ClampedArray(alpha.length);
+    const shadow = new Uint8ClampedArray(alpha.length);
+    for (let i = 0; i < alpha.length; i++) {
+      if (normals.data[i * 4 + 3] === 0) continue; // border pixels have no normal
+      const s = shade[i * 4];
+      const inside = alpha[i] / 255;
+      if (s > flat) highlight[i] = ((s - flat) / Math.max(1, 255 - flat)) * 255 * inside;
+      else shadow[i] = ((flat - s) / Math.max(1, flat)) * 255 * inside;
+    }
+    return { highlight, shadow };
+  }
+
+  /**
+   * How far past a layer's pixels its enabled styles can draw, in pixels.
+   */
+  function layerStyleReach(styles) {
+    let reach = 0;
+    for (const s of styles) {
+      if (s.enabled) reach = Math.max(reach, (s.distance || 0) + 2 * (s.size || 0) + 2);
+    }
+    return reach;
+  }
+
+  /**
+   * Draw source with its layer styles into target (replacing target's contents) and return
+   * target. Returns source unchanged when no style is enabled. Shadow and outer glow go below
+   * the content; inner glow, bevel and stroke above it.
+   */
+  function renderLayerStyles(source, styles, target) {
+    const active = styles.filter((s) => s.enabled);
+    if (!active.length) return source;
+    const { width, height } = source;
+    const rgba = source.getContext("2d").getImageData(0, 0, width, height).data;
+    const alpha = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = rgba[i * 4 + 3];
+
+    const tctx = target.getContext("2d");
+    tctx.save();
+    tctx.setTransform(1, 0, 0, 1, 0, 0);
+    tctx.clearRect(0, 0, width, height);
+    const fx = createOffscreenCanvas(width, height);
+    const fctx = fx.getContext("2d");
+    const draw = (coverage, color, opacity, mode = "source-over") => {
+      const pixels = new Uint8ClampedArray(rgba.length);
+      for (let i = 0; i < coverage.length; i++) pixels[i * 4 + 3] = coverage[i];
+      fctx.globalCompositeOperation = "copy";
+      fctx.putImageData(createImageData(pixels, width, height), 0, 0);
+      fctx.globalCompositeOperation = "source-in";
+      fctx.fillStyle = color;
+      fctx.fillRect(0, 0, width, height);
+      compositeCanvas(fx, tctx, 0, 0, mode, clamp(opacity, 0, 1));
+    };
+    const ofType = (type) => active.filter((s) => s.type === type);
+
+    for (const s of ofType("drop-shadow")) {
+      const dx = Math.round(-Math.cos(deg2rad(s.angle)) * s.distance);
+      const dy = Math.round(Math.sin(deg2rad(s.angle)) * s.distance);
+      const shifted = new Uint8ClampedArray(alpha.length);
+      for (let y = Math.max(0, dy); y < Math.min(height, height + dy); y++) {
+        for (let x = Math.max(0, dx); x < Math.min(width, width + dx); x++) {
+          shifted[y * width + x] = alpha[(y - dy) * width + (x - dx)];
+        }
+      }
+      draw(blurAlpha(shifted, width, height, s.size), s.color, s.opacity);
+    }
+    for (const s of ofType("outer-glow")) {
+      draw(blurAlpha(alpha, width, height, s.size), s.color, s.opacity);
+    }
+
+    tctx.drawImage(source, 0, 0);
+
+    for (const s of ofType("inner-glow")) {
+      const inverse = alpha.map((a) => 255 - a);
+      const glow = blurAlpha(inverse, width, height, s.size).map((g, i) => (g * alpha[i]) / 255);
+      draw(glow, s.color, s.opacity);
+    }
+    for (const s of ofType("bevel")) {
+      const { highlight, shadow } = bevelCoverage(alpha, width, height, s);
+      draw(highlight, s.highlightColor, s.highlightOpacity, "screen");
+      draw(shadow, s.shadowColor, s.shadowOpacity, "multiply");
+    }
+    for (const s of ofType("stroke")) {
+      let coverage;
+      if (s.position === "center") {
+        const outside = strokeCoverage(alpha, width, height, s.size / 2, "outside");
+        const inside = strokeCoverage(alpha, width, height, s.size / 2, "inside");
+        coverage = outside.map((o, i) => Math.max(o, inside[i]));
+      } else {
+        coverage = strokeCoverage(alpha, width, height, s.size, s.position === "inside" ? "inside" : "outside");
+      }
+      draw(coverage, s.color, s.opacity);
+    }
+    tctx.restore();
+    return target;
+  }
+
+  // =========================================================================================
+  // Lighting
+  // =========================================================================================
+
+  /**
+   * Document light for the relief painted into layers' depth canvases. direction points from
+   * the surface toward the light (x right, y down, z out of the screen); color tints the
+   * diffuse light and highlights; ambient is the light level of surfaces facing away; specular
+   * and shininess control Blinn-Phong highlights. strength scales the height gradients and blur
+   * softens the result, in pixels.
+   */
+  const LIGHT_DEFAULTS = {
+    direction: { x: 0.3, y: -0.6, z: 0.8 },
+    color: "#ffffff",
+    ambient: 0.25,
+    specular: 0,
+    shininess: 16,
+    strength: 1.2,
+    blur: 2,
+  };
+
+  /**
+   * A complete, independent light: the given settings over base, over the defaults.
+   */
+  function normalizeLight(settings = {}, base = LIGHT_DEFAULTS) {
+    const light = { ...LIGHT_DEFAULTS, ...base, ...settings };
+    light.direction = { ...LIGHT_DEFAULTS.direction, ...base.direction, ...(settings.direction || {}) };
+    const { x, y, z } = light.direction;
+    assert(x || y || z, "Light direction must not be zero");
+    light.ambient = clamp(light.ambient, 0, 1);
+    light.specular = Math.max(0, light.specular);
+    light.blur = Math.max(0, Math.round(light.blur));
+    return light;
+  }
+
+  /**
+   * Where relighting rect reads and writes: { readRect, writeRect }, or null if rect lies
+   * outside the canvas. The blur grows writeRect past rect; reading one more pixel around the
+   * blur gives the normal and blur kernels real neighbours instead of the region's edge.
+   */
+  function reliefRegion(rect, light, width, height) {
+    const writeRect = clipRect(inflateRect(rect, light.blur), width, height);
+    if (!writeRect) return null;
+    return { readRect: clipRect(inflateRect(writeRect, light.blur + 1), width, height), writeRect };
+  }
+
+  /**
+   * Light a block of height pixels (RGBA, as read from a depth canvas): { shade, highlight }
+   * pixel arrays of the same size, gray levels for a multiply pass and specular light for a
+   * screen pass, blurred. A height is the luminance of the painted relief times its coverage;
+   * both outputs keep the relief's alpha. Runs in relief workers too, so it only uses helpers
+   * listed in reliefWorkerSource().
+   */
+  function reliefPixels(pixels, width, height, light) {
+    const { direction, ambient, specular, shininess, strength, blur } = light;
+    const heights = new Uint8ClampedArray(pixels.length);
+    for (let i = 0; i < pixels.length; i += 4) {
+      const h = ((0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]) * pixels[i + 3]) / 255;
+      heights[i] = heights[i + 1] = heights[i + 2] = h;
+      heights[i + 3] = 255;
+    }
+    const normals = heightToNormalMap(createImageData(heights, width, height), strength).data;
+
+    const len = Math.hypot(direction.x, direction.y, direction.z);
+    const lx = direction.x / len;
+    const ly = direction.y / len;
+    const lz = direction.z / len;
+    // Half vector between the light and a viewer looking straight at the screen
+    const hlen = Math.hypot(lx, ly, lz + 1) || 1;
+    const hx = lx / hlen;
+    const hy = ly / hlen;
+    const hz = (lz + 1) / hlen;
+    const tint = hexToRgb(light.color);
+    const tints = [tint.r / 255, tint.g / 255, tint.b / 255];
+
+    let shade = new Uint8ClampedArray(pixels.length);
+    let highlight = new Uint8ClampedArray(pixels.length);
+    for (let i = 0; i < pixels.length; i += 4) {
+      const nx = (normals[i] / 255) * 2 - 1;
+      const ny = (normals[i + 1] / 255) * 2 - 1;
+      const nz = (normals[i + 2] / 255) * 2 - 1;
+      const diffuse = clamp(nx * lx + ny * ly + nz * lz, 0, 1);
+      const spec = specular * Math.pow(clamp(nx * hx + ny * hy + nz * hz, 0, 1), shininess);
+      for (let k = 0; k < 3; k++) {
+        shade[i + k] = (ambient + (1 - ambient) * diffuse * tints[k]) * 255;
+        highlight[i + k] = spec * tints[k] * 255;
+      }
+      // Keep the light where there is relief, so it stays local to the painted pixels
+      shade[i + 3] = highlight[i + 3] = pixels[i + 3];
+    }
+    if (blur > 0) {
+      shade = gaussianBlurImageData(createImageData(shade, width, height), blur).data;
+      highlight = gaussianBlurImageData(createImageData(highlight, width, height), blur).data;
+    }
+    return { shade, highlight };
+  }
+
+  /**
+   * Write reliefPixels() output for region (see reliefRegion()) into the shade and highlight
+   * canvases.
+   */
+  function putRelief(shadeCanvas, highlightCanvas, region, relief) {
+    const { readRect, writeRect } = region;
+    const outputs = [
+      [shadeCanvas, relief.shade],
+      [highlightCanvas, relief.highlight],
+    ];
+    for (const [canvas, pixels] of outputs) {
+      canvas.getContext("2d").putImageData(
+        createImageData(pixels, readRect.width, readRect.height),
+        readRect.x,
+        readRect.y,
+        writeRect.x - readRect.x,
+        writeRect.y - readRect.y,
+        writeRect.width,
+        writeRect.height
+      );
+    }
+  }
+
+  /**
+   * Relight the heights in depthCanvas within rect on this thread, writing into shadeCanvas
+   * and highlightCanvas. Returns the rect written, or null.
+   */
+  function renderRelief(depthCanvas, shadeCanvas, highlightCanvas, light, rect) {
+    const region = reliefRegion(rect, light, depthCanvas.width, depthCanvas.height);
+    if (!region) return null;
+    const { readRect } = region;
+    const pixels = depthCanvas.getContext("2d").getImageData(readRect.x, readRect.y, readRect.width, readRect.height).data;
+    putRelief(shadeCanvas, highlightCanvas, region, reliefPixels(pixels, readRect.width, readRect.height, light));
+    return region.writeRect;
+  }
+
+  // Entry point of a relief worker: light each block it is sent and hand the buffers back
+  function reliefWorkerMain() {
+    self.onmessage = (event) => {
+      const { pixels, width, height, light } = event.data;
+      const { shade, highlight } = reliefPixels(pixels, width, height, light);
+      self.postMessage({ shade, highlight }, [shade.buffer, highlight.buffer]);
+    };
+  }
+
+  /**
+   * Script of a relief worker, built from the source of the functions it runs. They may
+   * only call each other; createImageData is replaced by plain objects, since workers
+   * have no canvas backend.
+   */
+  function reliefWorkerSource() {
+    const functions = [clamp, hexToRgb, gaussianKernel, gaussianBlurImageData, heightToNormalMap, reliefPixels];
+    return [
+      ...functions.map(String),
+      "function createImageData(data, width, height) { return { data, width, height }; }",
+      `(${reliefWorkerMain})();`,
+    ].join("\n");
+  }
+
+  /**
+   * Pool of Web Workers running reliefPixels() off the main thread. run() queues a block of
+   * height pixels (its buffer is transferred, not copied) and returns a job: { promise,
+   * cancel() }. The promise resolves to { shade, highlight }, or to null once cancelled;
+   * cancelling a job that is already running terminates its worker, which is replaced when
+   * needed. Workers start on demand, up to size at once.
+   *
+   * Emits "relit" with { layer, rect } when a layer has drawn relief lit by the pool; render
+   * again to show it.
+   */
+  class ReliefWorkerPool extends Emitter {
+    constructor(size = ReliefWorkerPool.defaultSize()) {
+      super();
+      assert(ReliefWorkerPool.isSupported(), "Relief workers need Worker, Blob and URL.createObjectURL");
+      assert(size >= 1, "A relief worker pool needs at least one worker");
+      this.size = size;
+      this._url = null; // object URL of the worker script, created with the first worker
+      this._idle = [];
+      this._running = new Map(); // worker -> job
+      this._queue = []; // jobs waiting for a worker
+    }
+
+    static isSupported() {
+      return typeof Worker !== "undefined" && typeof Blob !== "undefined" && typeof URL !== "undefined" && typeof URL.createObjectURL === "function";
+    }
+
+    // Leave a core to the main thread
+    static defaultSize() {
+      const cores = (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+      return clamp(cores - 1, 1, 4);
+    }
+
+    run(pixels, width, height, light) {
+      const job = { message: { pixels, width, height, light }, worker: null, settle: null };
+      job.promise = new Promise((resolve, reject) => (job.settle = (result, error) => (error ? reject(error) : resolve(result))));
+      job.cancel = () => this._cancel(job);
+      this._queue.push(job);
+      this._dispatch();
+      return job;
+    }
+
+    /**
+     * Stop every worker; queued and running jobs resolve to null. The pool can still be used
+     * afterwards and starts new workers.
+     */
+    terminate() {
+      for (const job of [...this._queue, ...this._running.values()]) this._cancel(job);
+      for (const worker of this._idle) worker.terminate();
+      this._idle = [];
+      if (this._url) URL.revokeObjectURL(this._url);
+      this._url = null;
+    }
+
+    _cancel(job) {
+      const queued = this._queue.indexOf(job);
+      if (queued !== -1) {
+        this._queue.splice(queued, 1);
+      } else if (job.worker) {
+        // A running job can only be stopped with its worker
+        job.worker.terminate();
+        this._running.delete(job.worker);
+        job.worker = null;
+      } else {
+        return; // settled already
+      }
+      job.settle(null);
+      this._dispatch();
+    }
+
+    _dispatch() {
+      while (this._queue.length) {
+        let worker = this._idle.pop();
+        if (!worker && this._running.size < this.size) {
+          try {
+            worker = this._spawn();
+          } catch (err) {
+            // Blocked worker scripts (a strict Content-Security-Policy) fail every queued job
+            for (const job of this._queue.splice(0)) job.settle(null, err);
+            return;
+          }
+        }
+        if (!worker) return;
+        const job = this._queue.shift();
+        job.worker = worker;
+        this._running.set(worker, job);
+        worker.postMessage(job.message, [job.message.pixels.buffer]);
+        job.message = null;
+      }
+    }
+
+    _spawn() {
+      if (!this._url) this._url = URL.createObjectURL(new Blob([reliefWorkerSource()], { type: "text/javascript" }));
+      const worker = new Worker(this._url);
+      worker.onmessage = (event) => this._finish(worker, event.data, null);
+      worker.onerror = (event) => {
+        if (event.preventDefault) event.preventDefault();
+        this._finish(worker, null, new Error(event.message || "Relief worker failed"));
+      };
+      return worker;
+    }
+
+    _finish(worker, result, error) {
+      const job = this._running.get(worker);
+      // A cancelled job's worker was terminated, though a reply it sent may still arrive
+      if (!job) return;
+      this._running.delete(worker);
+      if (error) worker.terminate();
+      else this._idle.push(worker);
+      job.worker = null;
+      job.settle(result, error);
+      this._dispatch();
+    }
+  }
+
+  /**
+   * Maps renderReliefMap() makes from painted heights: the heights themselves, a tangent-space
+   * normal map, and an ambient-occlusion-style shade map.
+   */
+  const RELIEF_MAP_TYPES = ["height", "normal", "shade"];
+
+  /**
+   * strength scales the height gradients of normal maps; convention is "opengl" (green points
+   * up, Y+) or "directx" (green points down, Y-). normalize stretches the heights that occur
+   * to the full 0..1 range first. Shade maps darken pixels lower than their surroundings
+   * within radius pixels, by occlusion times the height difference.
+   */
+  const RELIEF_MAP_DEFAULTS = {
+    strength: 1,
+    convention: "opengl",
+    normalize: false,
+    radius: 8,
+    occlusion: 4,
+  };
+
+  /**
+   * An opaque grayscale or RGB canvas holding a RELIEF_MAP_TYPES map of the heights in
+   * depthCanvas (luminance times coverage, as the relief is lit), with RELIEF_MAP_DEFAULTS
+   * options.
+   */
+  function renderReliefMap(depthCanvas, type, options = {}) {
+    assert(RELIEF_MAP_TYPES.includes(type), `Unknown relief map: ${type}`);
+    const { strength, convention, normalize, radius, occlusion } = { ...RELIEF_MAP_DEFAULTS, ...options };
+    assert(convention === "opengl" || convention === "directx", `Unknown normal map convention: ${convention}`);
+    const { width, height } = depthCanvas;
+    const pixels = depthCanvas.getContext("2d").getImageData(0, 0, width, height).data;
+    const heights = new Float32Array(width * height);
+    for (let i = 0; i < heights.length; i++) {
+      const p = i * 4;
+      heights[i] = ((0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2]) * pixels[p + 3]) / (255 * 255);
+    }
+    if (normalize) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const h of heights) {
+        min = Math.min(min, h);
+        max = Math.max(max, h);
+      }
+      if (max > min) for (let i = 0; i < heights.length; i++) heights[i] = (heights[i] - min) / (max - min);
+    }
+
+    const out = new Uint8ClampedArray(width * height * 4);
+    if (type === "normal") {
+      // heightToNormalMap leaves a one-pixel border, so give it one of repeated edge heights
+      const pw = width + 2;
+      const padded = new Uint8ClampedArray(pw * (height + 2) * 4);
+      for (let y = 0; y < height + 2; y++) {
+        for (let x = 0; x < pw; x++) {
+          const h = heights[clamp(y - 1, 0, height - 1) * width + clamp(x - 1, 0, width - 1)] * 255;
+          const p = (y * pw + x) * 4;
+          padded[p] = padded[p + 1] = padded[p + 2] = h;
+          padded[p + 3] = 255;
+        }
+      }
+      const normals = heightToNormalMap(createImageData(padded, pw, height + 2), strength).data;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const p = (y * width + x) * 4;
+          const q = ((y + 1) * pw + x + 1) * 4;
+          out[p] = normals[q];
+          // heightToNormalMap works in image space, where y grows downward as in DirectX
+          out[p + 1] = convention === "opengl" ? 255 - normals[q + 1] : normals[q + 1];
+          out[p + 2] = normals[q + 2];
+          out[p + 3] = 255;
+        }
+      }
+    } else {
+      for (let i = 0; i < heights.length; i++) {
+        out[i * 4] = out[i * 4 + 1] = out[i * 4 + 2] = heights[i] * 255;
+        out[i * 4 + 3] = 255;
+      }
+      if (type === "shade") {
+        const surroundings = radius > 0 ? gaussianBlurImageData(createImageData(out.slice(), width, height), radius).data : out;
+        for (let i = 0; i < heights.length; i++) {
+          const depth = Math.max(0, surroundings[i * 4] / 255 - heights[i]);
+          out[i * 4] = out[i * 4 + 1] = out[i * 4 + 2] = clamp(1 - depth * occlusion, 0, 1) * 255;
+        }
+      }
+    }
+    const canvas = createOffscreenCanvas(width, height);
+    canvas.getContext("2d").putImageData(createImageData(out, width, height), 0, 0);
+    return canvas;
+  }
+
+  // =========================================================================================
+  // Transforms
+  // =========================================================================================
+
+  /**
+   * Resampling filters for committing a free transform: nearest keeps hard pixel edges,
+   * bilinear interpolates 2x2 pixels, bicubic (Catmull-Rom) 4x4 pixels for sharper results.
+   */
+  const RESAMPLE_FILTERS = ["nearest", "bilinear", "bicubic"];
+
+  /**
+   * Affine matrices are plain { a, b, c, d, e, f } objects in canvas setTransform() order:
+   * x' = a * x + c * y + e, y' = b * x + d * y + f.
+   */
+  const IDENTITY_MATRIX = Object.freeze({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 });
+
+  /**
+   * The matrix applying m2 first, then m1.
+   */
+  function multiplyMatrix(m1, m2) {
+    return {
+      a: m1.a * m2.a + m1.c * m2.b,
+      b: m1.b * m2.a + m1.d * m2.b,
+      c: m1.a * m2.c + m1.c * m2.d,
+      d: m1.b * m2.c + m1.d * m2.d,
+      e: m1.a * m2.e + m1.c * m2.f + m1.e,
+      f: m1.b * m2.e + m1.d * m2.f + m1.f,
+    };
+  }
+
+  function invertMatrix(m) {
+    const det = m.a * m.d - m.b * m.c;
+    assert(Math.abs(det) > 1e-12, "Transform is not invertible");
+    return {
+      a: m.d / det,
+      b: -m.b / det,
+      c: -m.c / det,
+      d: m.a / det,
+      e: (m.c * m.f - m.d * m.e) / det,
+      f: (m.b * m.e - m.a * m.f) / det,
+    };
+  }
+
+  function transformPoint(m, x, y) {
+    return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+  }
+
+  /**
+   * Build a free-transform matrix. About (originX, originY) the content is skewed, scaled,
+   * then rotated, and finally moved by (translateX, translateY). Angles are in degrees;
+   * negative scales flip.
+   */
+  function composeTransform(params = {}) {
+    const {
+      translateX = 0,
+      translateY = 0,
+      scaleX = 1,
+      scaleY = 1,
+      rotation = 0,
+      skewX = 0,
+      skewY = 0,
+      originX = 0,
+      originY = 0,
+    } = params;
+    const cos = Math.cos(deg2rad(rotation));
+    const sin = Math.sin(deg2rad(rotation));
+    let m = { a: 1, b: 0, c: 0, d: 1, e: originX + translateX, f: originY + translateY };
+    m = multiplyMatrix(m, { a: cos, b: sin, c: -sin, d: cos, e: 0, f: 0 });
+    m = multiplyMatrix(m, { a: scaleX, b: 0, c: 0, d: scaleY, e: 0, f: 0 });
+    m = multiplyMatrix(m, { a: 1, b: Math.tan(deg2rad(skewY)), c: Math.tan(deg2rad(skewX)), d: 1, e: 0, f: 0 });
+    return multiplyMatrix(m, { a: 1, b: 0, c: 0, d: 1, e: -originX, f: -originY });
+  }
+
+  /**
+   * Integer matrix turning a width x height canvas by quarter turns (clockwise on screen)
+   * about its center. Non-square canvases crop what leaves them.
+   */
+  function quarterTurnMatrix(turns, width, height) {
+    switch (((turns % 4) + 4) % 4) {
+      case 1:
+        return { a: 0, b: 1, c: -1, d: 0, e: Math.round((width + height) / 2), f: Math.round((height - width) / 2) };
+      case 2:
+        return { a: -1, b: 0, c: 0, d: -1, e: width, f: height };
+      case 3:
+        return { a: 0, b: -1, c: 1, d: 0, e: Math.round((width - height) / 2), f: Math.round((width + height) / 2) };
+      default:
+        return IDENTITY_MATRIX;
+    }
+  }
+
+  function flipMatrix(axis, width, height) {
+    assert(axis === "horizontal" || axis === "vertical", `Unknown flip axis: ${axis}`);
+    return axis === "horizontal" ? { a: -1, b: 0, c: 0, d: 1, e: width, f: 0 } : { a: 1, b: 0, c: 0, d: -1, e: 0, f: height };
+  }
+
+  /**
+   * Redraw source into ctx through matrix. With smoothing off and an integer matrix (flips,
+   * quarter turns, whole-pixel moves) every pixel is copied unchanged; with smoothing on this
+   * is the fast, approximate live preview of a free transform.
+   */
+  function drawTransformed(ctx, source, matrix, smoothing = true) {
+    const { width, height } = ctx.canvas;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.imageSmoothingEnabled = smoothing;
+    ctx.globalCompositeOperation = "source-over";
+    ctx.globalAlpha = 1.0;
+    ctx.setTransform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+    ctx.drawImage(source, 0, 0);
+    ctx.restore();
+  }
+
+  function cubicWeight(t) {
+    const x = Math.abs(t);
+    if (x < 1) return 1.5 * x * x * x - 2.5 * x * x + 1;
+    if (x < 2) return -0.5 * x * x * x + 2.5 * x * x - 4 * x + 2;
+    return 0;
+  }
+
+  /**
+   * Map source through matrix into new width x height ImageData, sampling every output pixel
+   * center back in the source with filter. Interpolation runs on premultiplied colors so
+   * transparent neighbors don't darken edges; samples outside the source are transparent.
+   */
+  function resampleAffine(source, matrix, width, height, filter = "bilinear") {
+    assert(RESAMPLE_FILTERS.includes(filter), `Unknown resampling filter: ${filter}`);
+    const sw = source.width;
+    const sh = source.height;
+    const src = source.getContext("2d").getImageData(0, 0, sw, sh).data;
+    const pre = new Float32Array(src.length);
+    for (let i = 0; i < src.length; i += 4) {
+      const a = src[i + 3] / 255;
+      pre[i] = src[i] * a;
+      pre[i + 1] = src[i + 1] * a;
+      pre[i + 2] = src[i + 2] * a;
+      pre[i + 3] = src[i + 3];
+    }
+
+    const out = createImageData(new Uint8ClampedArray(width * height * 4), width, height);
+    const inv = invertMatrix(matrix);
+    const acc = new Float32Array(4);
+    const wx = new Float32Array(4);
+    const wy = new Float32Array(4);
+    const tap = (x, y, weight) => {
+      if (x < 0 || y < 0 || x >= sw || y >= sh) return;
+      const i = (y * sw + x) * 4;
+      acc[0] += pre[i] * weight;
+      acc[1] += pre[i + 1] * weight;
+      acc[2] += pre[i + 2] * weight;
+      acc[3] += pre[i + 3] * weight;
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        // Source position of this pixel's center, in pixel-index coordinates
+        const sx = inv.a * (x + 0.5) + inv.c * (y + 0.5) + inv.e - 0.5;
+        const sy = inv.b * (x + 0.5) + inv.d * (y + 0.5) + inv.f - 0.5;
+        if (sx <= -2 || sy <= -2 || sx >= sw + 1 || sy >= sh + 1) continue;
+        acc.fill(0);
+        if (filter === "nearest") {
+          tap(Math.round(sx), Math.round(sy), 1);
+        } else if (filter === "bilinear") {
+          const x0 = Math.floor(sx);
+          const y0 = Math.floor(sy);
+          const fx = sx - x0;
+          const fy = sy - y0;
+          tap(x0, y0, (1 - fx) * (1 - fy));
+          tap(x0 + 1, y0, fx * (1 - fy));
+          tap(x0, y0 + 1, (1 - fx) * fy);
+          tap(x0 + 1, y0 + 1, fx * fy);
+        } else {
+          const x0 = Math.floor(sx) - 1;
+          const y0 = Math.floor(sy) - 1;
+          for (let k = 0; k < 4; k++) {
+            wx[k] = cubicWeight(sx - (x0 + k));
+            wy[k] = cubicWeight(sy - (y0 + k));
+          }
+          for (let j = 0; j < 4; j++) {
+            for (let k = 0; k < 4; k++) tap(x0 + k, y0 + j, wx[k] * wy[j]);
+          }
+        }
+
+        // Bicubic can overshoot: keep alpha in range and colors within it
+        const alpha = clamp(acc[3], 0, 255);
+        if (alpha < 0.5) continue;
+        const o = (y * width + x) * 4;
+        const scale = 255 / alpha;
+        out.data[o] = clamp(acc[0], 0, alpha) * scale;
+        out.data[o + 1] = clamp(acc[1], 0, alpha) * scale;
+        out.data[o + 2] = clamp(acc[2], 0, alpha) * scale;
+        out.data[o + 3] = alpha;
+      }
+    }
+    return out;
+  }
+
+  // =========================================================================================
+  // History Manager (Undo/Redo)
+  // =========================================================================================
+
+  /**
+   * Pixel storage for history snapshots. Starts as a canvas and can be packed into a
+   * run-length encoded Uint32Array, which is decoded synchronously on restore.
+   */
+  class PixelSnapshot {
+    constructor(canvas) {
+      this.width = canvas.width;
+      this.height = canvas.height;
+      this._canvas = canvas;
+      this._runs = null; // [count, pixel, count, pixel, ...] once compressed
+      this._incompressible = false;
+    }
+
+    get isCompressed() {
+      return !!this._runs;
+    }
+
+    /**
+     * Approximate memory held by this snapshot in bytes.
+     */
+    get byteSize() {
+      return this._runs ? this._runs.byteLength : this.width * this.height * 4;
+    }
+
+    /**
+     * Pack the pixels if that saves memory. Returns the number of bytes freed.
+     */
+    compress() {
+      if (this._runs || this._incompressible) return 0;
+      const before = this.byteSize;
+      const data = this._canvas.getContext("2d").getImageData(0, 0, this.width, this.height).data;
+      const px = new Uint32Array(data.buffer, data.byteOffset, data.length >> 2);
+
+      let runCount = 0;
+      for (let i = 0; i < px.length; i++) {
+        if (i === 0 || px[i] !== px[i - 1]) runCount++;
+      }
+      if (runCount * 2 >= px.length) {
+        this._incompressible = true;
+        return 0;
+      }
+
+      const runs = new Uint32Array(runCount * 2);
+      let r = -2;
+      for (let i = 0; i < px.length; i++) {
+        if (i === 0 || px[i] !== px[i - 1]) {
+          r += 2;
+          runs[r + 1] = px[i];
+        }
+        runs[r]++;
+      }
+      this._runs = runs;
+      this._canvas = null;
+      return before - this.byteSize;
+    }
+
+    /**
+     * Canvas holding the snapshot pixels. Compressed snapshots decode into a new canvas.
+     */
+    toCanvas() {
+      if (this._canvas) return this._canvas;
+      const out = new Uint32Array(this.width * this.height);
+      let o = 0;
+      for (let r = 0; r < this._runs.length; r += 2) {
+        out.fill(this._runs[r + 1], o, o + this._runs[r]);
+        o += this._runs[r];
+      }
+      const canvas = createOffscreenCanvas(this.width, this.height);
+      const imageData = createImageData(new Uint8ClampedArray(out.buffer), this.width, this.height);
+      canvas.getContext("2d").putImageData(imageData, 0, 0);
+      return canvas;
+    }
+  }
+
+  class Command {
+    constructor(doFn, undoFn, label = "Unnamed Command", snapshots = []) {
+      this.doFn = doFn;
+      this.undoFn = undoFn;
+      this.label = label;
+      this.snapshots = snapshots; // PixelSnapshots held for do/undo, measured by HistoryManager
+    }
+
+    do() {
+      this.doFn && this.doFn();
+    }
+
+    undo() {
+      this.undoFn && this.undoFn();
+    }
+
+    getByteSize() {
+      return this.snapshots.reduce((sum, s) => sum + s.byteSize, 0);
+    }
+
+    /**
+     * Compress all snapshots. Returns the number of bytes freed.
+     */
+    compress() {
+      return this.snapshots.reduce((sum, s) => sum + s.compress(), 0);
+    }
+  }
+
+  /**
+   * CompositeCommand runs several commands as one undo step, undoing them in reverse order.
+   */
+  class CompositeCommand extends Command {
+    constructor(commands, label = "Group") {
+      super(null, null, label, commands.flatMap((c) => c.snapshots || []));
+      this.commands = commands;
+    }
+
+    do() {
+      for (const cmd of this.commands) cmd.do();
+    }
+
+    undo() {
+      for (let i = this.commands.length - 1; i >= 0; i--) this.commands[i].undo();
+    }
+  }
+
+  /**
+   * Capture a rectangular region of a layer's color and depth canvases.
+   * The sources default to the layer itself but can be pre-stroke copies of it.
+   */
+  function snapshotLayerRegion(layer, rect, canvas = layer.canvas, depthCanvas = layer.depthCanvas) {
+    return {
+      rect: { ...rect },
+      pixels: new PixelSnapshot(copyCanvasRegion(canvas, rect)),
+      depthPixels: new PixelSnapshot(copyCanvasRegion(depthCanvas, rect)),
+    };
+  }
+
+  /**
+   * Capture a rectangle of a layer's mask. Restore it with restoreLayerRegion.
+   */
+  function snapshotMaskRegion(layer, rect, maskCanvas = layer.maskCanvas) {
+    return { rect: { ...rect }, maskPixels: new PixelSnapshot(copyCanvasRegion(maskCanvas, rect)) };
+  }
+
+  /**
+   * Write a region snapshot back into its layer, replacing the pixels it covers.
+   */
+  function restoreLayerRegion(layer, snapshot) {
+    const { x, y } = snapshot.rect;
+    if (snapshot.pixels) putCanvasRegion(layer.ctx, snapshot.pixels.toCanvas(), x, y);
+    if (snapshot.depthPixels) {
+      putCanvasRegion(layer.depthCtx, snapshot.depthPixels.toCanvas(), x, y);
+      layer.invalidateShading(snapshot.rect);
+    }
+    if (snapshot.maskPixels && layer.maskCanvas) {
+      putCanvasRegion(layer.maskCtx, snapshot.maskPixels.toCanvas(), x, y);
+      layer._maskDirty = true;
+    }
+    layer.markDirty(snapshot.rect);
+  }
+
+  /**
+   * PixelSnapshots of any number of layer snapshots, for Command memory accounting.
+   */
+  function snapshotPixels(...snapshots) {
+    const out = [];
+    for (const s of snapshots) {
+      for (const pixels of [s.pixels, s.depthPixels, s.maskPixels]) {
+        if (pixels) out.push(pixels);
+      }
+    }
+    return out;
+  }
+
+  const DEFAULT_HISTORY_BYTE_BUDGET = 256 * 1024 * 1024;
+
+  /**
+   * A state in the history tree. The node holds the command that led to it;
+   * the root stands for the initial document and has no command.
+   */
+  class HistoryNode {
+    constructor(id, command, parent) {
+      this.id = id;
+      this.command = command;
+      this.label = command ? command.label : "Initial State";
+      this.name = null; // user-assigned checkpoint name
+      this.parent = parent;
+      this.children = [];
+      this.redoChild = null; // branch followed by redo(): the most recently visited child
+      this.timestamp = Date.now();
+    }
+  }
+
+  /**
+   * HistoryManager keeps a tree of states. Undoing and then pushing a new command starts a
+   * sibling branch instead of discarding the undone work, and jumpTo() can reach any node.
+   */
+  class HistoryManager {
+    constructor(limit = 100, options = {}) {
+      this.limit = limit;
+      // Memory budget for snapshots in bytes; 0 disables it. Over budget, the oldest
+      // snapshots are compressed first and whole states are evicted only if that is not enough.
+      this.byteBudget = options.byteBudget ?? DEFAULT_HISTORY_BYTE_BUDGET;
+      this.clear();
+    }
+
+    push(command) {
+      const group = this._groups[this._groups.length - 1];
+      if (group) {
+        // Inside a group commands run immediately but only the folded group enters the tree
+        command.do();
+        group.commands.push(command);
+        return;
+      }
+      this._addNode(command);
+      command.do();
+    }
+
+    /**
+     * Start folding pushed commands into one undo step. Groups may nest.
+     */
+    beginGroup(label = "Group") {
+      this._groups.push({ label, commands: [] });
+    }
+
+    /**
+     * Close the innermost group and record it as a single CompositeCommand.
+     * Returns the composite, or null if nothing was pushed while the group was open.
+     */
+    endGroup() {
+      assert(this._groups.length, "endGroup() called without a matching beginGroup()");
+      const group = this._groups.pop();
+      if (!group.commands.length) return null;
+      const composite = new CompositeCommand(group.commands, group.label);
+      const parent = this._groups[this._groups.length - 1];
+      if (parent) {
+        parent.commands.push(composite);
+      } else {
+        this._addNode(composite); // its commands have already been applied
+      }
+      return composite;
+    }
+
+    /**
+     * Close the innermost group and undo everything pushed since it began.
+     */
+    cancelGroup() {
+      assert(this._groups.length, "cancelGroup() called without a matching beginGroup()");
+      const group = this._groups.pop();
+      for (let i = group.commands.length - 1; i >= 0; i--) {
+        group.commands[i].undo();
+      }
+    }
+
+    isGrouping() {
+      return this._groups.length > 0;
+    }
+
+    undo() {
+      assert(!this.isGrouping(), "Cannot undo while a history group is open");
+      const node = this.current;
+      if (!node.parent) return;
+      node.command.undo();
+      node.parent.redoChild = node;
+      this.current = node.parent;
+    }
+
+    redo() {
+      assert(!this.isGrouping(), "Cannot redo while a history group is open");
+      const node = this.current.redoChild;
+      if (!node) return;
+      node.command.do();
+      this.current = node;
+    }
+
+    canUndo() {
+      return !!this.current.parent;
+    }
+
+    canRedo() {
+      return !!this.current.redoChild;
+    }
+
+    /**
+     * Move the document to the state of any node in the tree by undoing up to the
+     * common ancestor and redoing down the target's branch. Returns false for unknown ids.
+     */
+    jumpTo(nodeId) {
+      const target = this._nodes.get(nodeId);
+      if (!target) return false;
+
+      const path = [];
+      for (let n = target; n; n = n.parent) path.push(n);
+      const onPath = new Set(path);
+
+      while (!onPath.has(this.current)) {
+        this.undo();
+      }
+      for (let i = path.indexOf(this.current) - 1; i >= 0; i--) {
+        this.current.redoChild = path[i];
+        this.redo();
+      }
+      return true;
+    }
+
+    /**
+     * Name a node (the current state by default) so it can be found as a checkpoint.
+     * Named nodes outlive unnamed abandoned branches but still count toward the limit.
+     */
+    nameState(name, nodeId = this.current.id) {
+      const node = this._nodes.get(nodeId);
+      if (!node) return null;
+      node.name = name || null;
+      return node;
+    }
+
+    findByName(name) {
+      for (const node of this._nodes.values()) {
+        if (node.name === name) return node;
+      }
+      return null;
+    }
+
+    getNamedStates() {
+      const out = [];
+      for (const node of this._nodes.values()) {
+        if (node.name) out.push({ id: node.id, name: node.name, label: node.label });
+      }
+      return out;
+    }
+
+    /**
+     * Plain-object description of the whole tree, suitable for rendering a history panel.
+     */
+    getTree() {
+      const describe = (node) => ({
+        id: node.id,
+        label: node.label,
+        name: node.name,
+        timestamp: node.timestamp,
+        isCurrent: node === this.current,
+        isRedoTarget: !!node.parent && node.parent.redoChild === node,
+        children: node.children.map(describe),
+      });
+      return describe(this.root);
+    }
+
+    /**
+     * Commands from the root to the current state, oldest first.
+     */
+    get undoStack() {
+      const out = [];
+      for (let n = this.current; n.parent; n = n.parent) out.unshift(n.command);
+      return out;
+    }
+
+    /**
+     * Commands redo() would replay on the current branch; the next one is last.
+     */
+    get redoStack() {
+      const out = [];
+      for (let n = this.current.redoChild; n; n = n.redoChild) out.unshift(n.command);
+      return out;
+    }
+
+    clear() {
+      this._nextId = 0;
+      this.root = new HistoryNode(this._nextId++, null, null);
+      this.current = this.root;
+      this._nodes = new Map([[this.root.id, this.root]]);
+      this._groups = [];
+    }
+
+    _addNode(command) {
+      const node = new HistoryNode(this._nextId++, command, this.current);
+      this.current.children.push(node);
+      this.current.redoChild = node;
+      this.current = node;
+      this._nodes.set(node.id, node);
+      this._enforceLimit();
+    }
+
+    _isOnCurrentPath(node) {
+      for (let n = this.current; n; n = n.parent) {
+        if (n === node) return true;
+      }
+      return false;
+    }
+
+    /**
+     * Memory held by history snapshots.
+     */
+    getMemoryUsage() {
+      let bytes = 0;
+      let compressedBytes = 0;
+      let snapshots = 0;
+      for (const node of this._nodes.values()) {
+        if (!node.command) continue;
+        for (const s of node.command.snapshots || []) {
+          bytes += s.byteSize;
+          if (s.isCompressed) compressedBytes += s.byteSize;
+          snapshots++;
+        }
+      }
+      return { bytes, compressedBytes, snapshots, commands: this._nodes.size - 1, budget: this.byteBudget };
+    }
+
+    setByteBudget(bytes) {
+      this.byteBudget = Math.max(0, bytes);
+      this._enforceLimit();
+    }
+
+    /**
+     * Keep at most `limit` commands and stay within the byte budget. Eviction drops the
+     * oldest unnamed abandoned leaf first, then folds the oldest state on the current path
+     * into the root together with every other branch that grew from the old root. With
+     * nothing left to undo, named abandoned leaves go next and the end of the redo chain last.
+     */
+    _enforceLimit() {
+      while (this._nodes.size - 1 > this.limit) {
+        if (!this._evictOne()) break;
+      }
+      if (this.byteBudget > 0) this._enforceByteBudget();
+    }
+
+    _evictOne() {
+      return (
+        this._pruneOldestLeaf((node) => !node.name) ||
+        this._advanceRoot() ||
+        this._pruneOldestLeaf(() => true) ||
+        this._pruneRedoTail()
+      );
+    }
+
+    _enforceByteBudget() {
+      let bytes = this.getMemoryUsage().bytes;
+      if (bytes <= this.byteBudget) return;
+
+      // Oldest first: Map iteration follows node creation order
+      for (const node of this._nodes.values()) {
+        if (!node.command || !node.command.compress) continue;
+        bytes -= node.command.compress();
+        if (bytes <= this.byteBudget) return;
+      }
+
+      while (bytes > this.byteBudget && this._evictOne()) {
+        bytes = this.getMemoryUsage().bytes;
+      }
+    }
+
+    // Oldest leaf accepted by filter that is on neither the current path nor the redo chain
+    _pruneOldestLeaf(filter) {
+      const redoChain = new Set();
+      for (let n = this.current.redoChild; n; n = n.redoChild) redoChain.add(n);
+      for (const node of this._nodes.values()) {
+        if (node.children.length || redoChain.has(node) || this._isOnCurrentPath(node) || !filter(node)) continue;
+        this._removeSubtree(node);
+        return true;
+      }
+      return false;
+    }
+
+    _pruneRedoTail() {
+      let tail = this.current.redoChild;
+      if (!tail) return false;
+      while (tail.redoChild) tail = tail.redoChild;
+      this._removeSubtree(tail);
+      return true;
+    }
+
+    _advanceRoot() {
+      const root = this.root;
+      if (this.current === root) return false;
+      let next = this.current;
+      while (next.parent !== root) next = next.parent;
+      for (const child of [...root.children]) {
+        if (child !== next) this._removeSubtree(child);
+      }
+      next.parent = null;
+      next.command = null; // the new root cannot be undone past
+      this.root = next;
+      this._nodes.delete(root.id);
+      return true;
+    }
+
+    // Detach node from its parent and forget it and everything below it
+    _removeSubtree(node) {
+      const siblings = node.parent.children;
+      siblings.splice(siblings.indexOf(node), 1);
+      if (node.parent.redoChild === node) {
+        node.parent.redoChild = siblings[siblings.length - 1] || null;
+      }
+      const forget = (n) => {
+        this._nodes.delete(n.id);
+        n.children.forEach(forget);
+      };
+      forget(node);
+    }
+  }
 
   // =========================================================================================
   // Brush Engine and Brushes
   // =========================================================================================
 
+  /**
+   * Brush parameters dynamics can drive, and the inputs that drive them. Every input reads
+   * 0..1: pressure; tilt (0 upright, 1 flat); velocity (1 at DYNAMICS_MAX_SPEED or faster);
+   * direction (heading of the stroke as a fraction of a full turn clockwise from +x); random
+   * (a fresh value per stamp from the stroke's generator); fade (distance along the stroke
+   * over the dynamic's length in pixels).
+   */
+  const DYNAMICS_PARAMETERS = ["size", "opacity", "flow", "hardness", "angle", "roundness", "scatter"];
+  const DYNAMICS_INPUTS = ["pressure", "tilt", "velocity", "direction", "random", "fade"];
+  const DYNAMICS_MAX_SPEED = 3; // pixels per millisecond
+  const DYNAMICS_FADE_LENGTH = 500; // pixels
+
+  /**
+   * Validated copy of a brush's dynamics: { [parameter]: { input, curve, length } }. curve
+   * lists [input, response] control points in 0..1 (a straight ramp if omitted), joined
+   * like curves adjustments; length is only kept for fade.
+   */
+  function normalizeDynamics(dynamics = {}) {
+    const normalized = {};
+    for (const [parameter, dynamic] of Object.entries(dynamics)) {
+      if (!dynamic) continue;
+      assert(DYNAMICS_PARAMETERS.includes(parameter), `Unknown dynamics parameter: ${parameter}`);
+      assert(DYNAMICS_INPUTS.includes(dynamic.input), `Unknown dynamics input: ${dynamic.input}`);
+      const curve = dynamic.curve || [
+        [0, 0],
+        [1, 1],
+      ];
+      assert(curve.length > 0, "A response curve needs at least one point");
+      normalized[parameter] = { input: dynamic.input, curve: curve.map(([x, y]) => [clamp(x, 0, 1), clamp(y, 0, 1)]) };
+      if (dynamic.input === "fade") normalized[parameter].length = Math.max(1, dynamic.length ?? DYNAMICS_FADE_LENGTH);
+    }
+    return normalized;
+  }
+
+  const responseCurveLUTs = new WeakMap(); // normalized curve -> curveLUT over 0..255
+
+  /**
+   * Response of a normalized dynamics curve to an input in 0..1.
+   */
+  function responseCurveAt(curve, input) {
+    let lut = responseCurveLUTs.get(curve);
+    if (!lut) {
+      lut = curveLUT(curve.map(([x, y]) => [x * 255, y * 255]));
+      responseCurveLUTs.set(curve, lut);
+    }
+    return lut[Math.round(clamp(input, 0, 1) * 255)] / 255;
+  }
+
   /**
    * BrushContext is provided to each brush stamp operation.
    */
   class BrushContext {
-    constructor(layer, colorPalette) {
+    constructor(layer, colorPalette, random = Math.random, target = "color") {
       this.layer = layer;
       this.colorPalette = colorPalette;
-      this.ctx = layer.ctx;
-      this.depthCtx = layer.depthCtx;
+      this.random = random; // brushes must draw all randomness from this so strokes are reproducible
+      this.target = target;
+      // Mask strokes paint gray levels into the mask and leave relief alone (depthCtx is null)
+      this.ctx = target === "mask" ? layer.maskCtx : layer.ctx;
+      this.depthCtx = target === "mask" ? null : layer.depthCtx;
+      this.sampleCtx = this.ctx; // where sampling brushes read colors; may be a reference composite
+      this.dynamics = null; // input readings for the current stamp, see Brush.stampParameters()
       this.width = layer.canvas.width;
       this.height = layer.canvas.height;
       this.tmpCanvas = createOffscreenCanvas(this.width, this.height); // used by some brushes
@@ -875,17 +3752,104 @@
       this.smudge = clamp(options.smudge ?? 0.0, 0, 1.0); // smudge amount [0-1]
       this.enableTilt = options.enableTilt ?? false;
       this.enablePressure = options.enablePressure ?? true;
-      this.blendMode = options.blendMode || "source-over";
+      this.blendMode = assertBrushBlendMode(options.blendMode || "source-over");
       this.softEdge = options.softEdge ?? true;
       this.airflow = clamp(options.airflow ?? 0.0, 0, 1.0); // for airbrush
       this.maxStampPerMove = clamp(options.maxStampPerMove ?? 64, 1, 256);
-      this.id = uuid();
+      this.sampleReference = options.sampleReference ?? false; // smudge: pick up color from reference layers
+      this.dynamics = this._normalizeDynamics(options.dynamics); // see setDynamics()
+      this.id = uuid(options.random);
+    }
+
+    /**
+     * The DYNAMICS_PARAMETERS this brush's stamps use; only these can be given dynamics.
+     */
+    get dynamicsParameters() {
+      return DYNAMICS_PARAMETERS;
+    }
+
+    // normalizeDynamics(), refusing parameters the stamps of this brush ignore
+    _normalizeDynamics(dynamics) {
+      const normalized = normalizeDynamics(dynamics);
+      for (const parameter of Object.keys(normalized)) {
+        assert(this.dynamicsParameters.includes(parameter), `${this.name} has no ${parameter} for dynamics to drive`);
+      }
+      return normalized;
+    }
+
+    /**
+     * Serializable brush parameters. Passing them back as constructor options recreates the brush
+     * (image sources such as textures and decals are not included).
+     */
+    getSettings() {
+      return {
+        name: this.name,
+        size: this.size,
+        opacity: this.opacity,
+        flow: this.flow,
+        hardness: this.hardness,
+        spacing: this.spacing,
+        scatter: this.scatter,
+        angle: this.angle,
+        roundness: this.roundness,
+        depthStrength: this.depthStrength,
+        smudge: this.smudge,
+        enableTilt: this.enableTilt,
+        enablePressure: this.enablePressure,
+        blendMode: this.blendMode,
+        softEdge: this.softEdge,
+        airflow: this.airflow,
+        maxStampPerMove: this.maxStampPerMove,
+        sampleReference: this.sampleReference,
+        dynamics: deepClone(this.dynamics),
+      };
+    }
+
+    /**
+     * Drive parameter (see DYNAMICS_PARAMETERS) by an input through a response curve:
+     * { input, curve, length }, see normalizeDynamics(). Angle turns by the response times a
+     * full circle; the other parameters are scaled by it. Pass null to make the parameter
+     * constant again. A size dynamic replaces enablePressure. Parameters missing from
+     * dynamicsParameters are refused.
+     */
+    setDynamics(parameter, dynamic) {
+      const dynamics = { ...this.dynamics };
+      delete dynamics[parameter];
+      this.dynamics = { ...dynamics, ...this._normalizeDynamics({ [parameter]: dynamic }) };
+    }
+
+    /**
+     * Size, opacity, flow, hardness, angle, roundness and scatter of one stamp, with the
+     * dynamics applied to pressure and inputs (readings of the other DYNAMICS_INPUTS, with
+     * distance along the stroke standing in for fade). Inputs that are not given read 0.
+     */
+    stampParameters(pressure = 1.0, inputs = null) {
+      const params = {
+        size: this.enablePressure && !this.dynamics.size ? this.size * pressure : this.size,
+        opacity: this.opacity,
+        flow: this.flow,
+        hardness: this.hardness,
+        angle: this.angle,
+        roundness: this.roundness,
+        scatter: this.scatter,
+      };
+      const readings = { tilt: 0, velocity: 0, direction: 0, random: 0, distance: 0, ...inputs, pressure };
+      for (const [parameter, dynamic] of Object.entries(this.dynamics)) {
+        const input = dynamic.input === "fade" ? readings.distance / dynamic.length : readings[dynamic.input];
+        const response = responseCurveAt(dynamic.curve, input);
+        if (parameter === "angle") params.angle += response * 360;
+        else params[parameter] *= response;
+      }
+      params.size = Math.max(1, params.size);
+      params.roundness = Math.max(0.1, params.roundness);
+      return params;
     }
 
     /**
      * Prepare brush before a stroke.
      */
     beginStroke(ctx, color) {
+      assertBrushBlendMode(this.blendMode);
       this._lastSmudgeSample = null;
       ctx.save();
       ctx.globalCompositeOperation = this.blendMode;
@@ -906,9 +3870,26 @@
     /**
      * Compute stamp spacing in pixels based on brush size and spacing factor.
      */
-    getSpacingPx(pressure = 1.0) {
-      const size = this.enablePressure ? this.size * pressure : this.size;
-      return Math.max(1, size * this.spacing);
+    getSpacingPx(pressure = 1.0, inputs = null) {
+      return Math.max(1, this.stampParameters(pressure, inputs).size * this.spacing);
+    }
+
+    /**
+     * Conservative bounding box of a single stamp, used to track the region a stroke touched.
+     */
+    getStampBounds(x, y, pressure = 1.0, inputs = null) {
+      const { size } = this.stampParameters(pressure, inputs);
+      const reach = this.getStampReach(size) + 2; // anti-aliasing margin
+      return rectFromBounds(x - reach, y - reach, x + reach, y + reach);
+    }
+
+    /**
+     * Furthest distance from the stamp center a stamp of the given size can paint.
+     * Override in subclasses whose stamps reach further than the default.
+     */
+    getStampReach(size) {
+      // The soft-edge gradient tile is size x size and rotated, so allow for its half diagonal.
+      return size * 0.75 + size * this.scatter * 0.5;
     }
 
     /**
@@ -917,18 +3898,18 @@
     stamp(bctx, x, y, pressure = 1.0, tilt = { x: 0, y: 0 }) {
       const ctx = bctx.ctx;
       const depthCtx = bctx.depthCtx;
-      const size = this.enablePressure ? this.size * pressure : this.size;
-      const radiusX = (size / 2) * this.roundness;
+      const { size, opacity, flow, hardness, angle, roundness, scatter } = this.stampParameters(pressure, bctx.dynamics);
+      const radiusX = (size / 2) * roundness;
       const radiusY = size / 2;
-      const angleRad = deg2rad(this.angle);
+      const angleRad = deg2rad(angle);
 
-      const sx = x + (Math.random() - 0.5) * size * this.scatter;
-      const sy = y + (Math.random() - 0.5) * size * this.scatter;
+      const sx = x + (bctx.random() - 0.5) * size * scatter;
+      const sy = y + (bctx.random() - 0.5) * size * scatter;
 
       ctx.save();
       ctx.translate(sx, sy);
       ctx.rotate(angleRad);
-      ctx.globalAlpha = this.opacity * this.flow;
+      ctx.globalAlpha = opacity * flow;
 
       // Soft edge via radial gradient
       if (this.softEdge) {
@@ -936,7 +3917,7 @@
         const gctx = gradCanvas.getContext("2d");
         const grad = gctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
         grad.addColorStop(0, "rgba(255,255,255,1)");
-        grad.addColorStop(this.hardness, "rgba(255,255,255,1)");
+        grad.addColorStop(hardness, "rgba(255,255,255,1)");
         grad.addColorStop(1, "rgba(255,255,255,0)");
         gctx.fillStyle = grad;
         gctx.beginPath();
@@ -951,7 +3932,7 @@
       }
 
       // Depth/relief: simple lightened stamp into depth canvas for shading
-      if (this.depthStrength > 0) {
+      if (this.depthStrength > 0 && depthCtx) {
         depthCtx.save();
         depthCtx.translate(sx, sy);
         depthCtx.rotate(angleRad);
@@ -1016,28 +3997,44 @@
       this._lastSprayTime = 0;
     }
 
+    // Droplets have no soft edge and the spray spreads over the whole size
+    get dynamicsParameters() {
+      return ["size", "opacity", "flow", "angle", "roundness"];
+    }
+
+    getStampReach(size) {
+      // Droplets land within half the size and have a radius of up to 12% of it;
+      // BrushEngine adds one more pixel of jitter for continuous spraying.
+      return size * 0.62 + 1;
+    }
+
     stamp(bctx, x, y, pressure = 1.0) {
       const ctx = bctx.ctx;
       const depthCtx = bctx.depthCtx;
-      const size = this.enablePressure ? this.size * pressure : this.size;
+      const { size, opacity, flow, angle, roundness } = this.stampParameters(pressure, bctx.dynamics);
+      // The spray covers an ellipse shaped like the base brush's stamp
+      const cos = Math.cos(deg2rad(angle));
+      const sin = Math.sin(deg2rad(angle));
       const count = Math.round(5 + size * this.airflow * 2);
       for (let i = 0; i < count; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const radius = randFloat(0, size * 0.5);
-        const sx = x + Math.cos(angle) * radius;
-        const sy = y + Math.sin(angle) * radius;
+        const direction = bctx.random() * Math.PI * 2;
+        const radius = randFloat(0, size * 0.5, bctx.random);
+        const dx = Math.cos(direction) * radius * roundness;
+        const dy = Math.sin(direction) * radius;
+        const sx = x + dx * cos - dy * sin;
+        const sy = y + dx * sin + dy * cos;
         ctx.save();
-        ctx.globalAlpha = this.opacity * this.flow * randFloat(0.2, 1);
+        ctx.globalAlpha = opacity * flow * randFloat(0.2, 1, bctx.random);
         ctx.beginPath();
-        ctx.arc(sx, sy, randFloat(0.5, size * 0.12), 0, Math.PI * 2);
+        ctx.arc(sx, sy, randFloat(0.5, size * 0.12, bctx.random), 0, Math.PI * 2);
         ctx.fill();
         ctx.restore();
 
-        if (this.depthStrength > 0) {
+        if (this.depthStrength > 0 && depthCtx) {
           depthCtx.save();
-          depthCtx.globalAlpha = clamp(this.depthStrength * randFloat(0.2, 0.8), 0, 1);
+          depthCtx.globalAlpha = clamp(this.depthStrength * randFloat(0.2, 0.8, bctx.random), 0, 1);
           depthCtx.beginPath();
-          depthCtx.arc(sx, sy, randFloat(0.2, size * 0.1), 0, Math.PI * 2);
+          depthCtx.arc(sx, sy, randFloat(0.2, size * 0.1, bctx.random), 0, Math.PI * 2);
           depthCtx.fillStyle = "rgba(255,255,255,1)";
           depthCtx.fill();
           depthCtx.restore();
@@ -1060,31 +4057,40 @@
       this.pattern = pctx.createPattern(this._patternCanvas, "repeat");
     }
 
+    // The texture sets the edge, so there is no hardness
+    get dynamicsParameters() {
+      return ["size", "opacity", "flow", "angle", "roundness", "scatter"];
+    }
+
+    getStampReach(size) {
+      return size / 2 + size * this.scatter * 0.5;
+    }
+
     stamp(bctx, x, y, pressure = 1.0) {
       const ctx = bctx.ctx;
       const depthCtx = bctx.depthCtx;
-      const size = this.enablePressure ? this.size * pressure : this.size;
+      const { size, opacity, flow, angle, roundness, scatter } = this.stampParameters(pressure, bctx.dynamics);
       const radius = size / 2;
-      const sx = x + (Math.random() - 0.5) * size * this.scatter;
-      const sy = y + (Math.random() - 0.5) * size * this.scatter;
+      const sx = x + (bctx.random() - 0.5) * size * scatter;
+      const sy = y + (bctx.random() - 0.5) * size * scatter;
       ctx.save();
       ctx.translate(sx, sy);
-      ctx.rotate(deg2rad(this.angle));
-      ctx.globalAlpha = this.opacity * this.flow;
+      ctx.rotate(deg2rad(angle));
+      ctx.globalAlpha = opacity * flow;
       ctx.fillStyle = this.pattern;
       ctx.beginPath();
-      ctx.arc(0, 0, radius, 0, Math.PI * 2);
+      ctx.ellipse(0, 0, radius * roundness, radius, 0, 0, Math.PI * 2);
       ctx.fill();
       ctx.restore();
 
-      if (this.depthStrength > 0) {
+      if (this.depthStrength > 0 && depthCtx) {
         depthCtx.save();
         depthCtx.translate(sx, sy);
-        depthCtx.rotate(deg2rad(this.angle));
+        depthCtx.rotate(deg2rad(angle));
         depthCtx.globalAlpha = clamp(this.depthStrength * 0.5, 0, 1);
         depthCtx.fillStyle = "rgba(255,255,255,1)";
         depthCtx.beginPath();
-        depthCtx.arc(0, 0, radius, 0, Math.PI * 2);
+        depthCtx.ellipse(0, 0, radius * roundness, radius, 0, 0, Math.PI * 2);
         depthCtx.fill();
         depthCtx.restore();
       }
@@ -1110,8 +4116,17 @@
       this._lastSampleColor = null;
     }
 
+    // Smudging carries color at the smudge strength and paints hard-edged stamps
+    get dynamicsParameters() {
+      return ["size", "opacity", "angle", "roundness", "scatter"];
+    }
+
+    getStampReach(size) {
+      return size / 2 + size * this.scatter * 0.5;
+    }
+
     sampleColorAt(bctx, x, y) {
-      const { ctx } = bctx;
+      const ctx = bctx.sampleCtx;
       const sx = clamp(x | 0, 0, bctx.width - 1);
       const sy = clamp(y | 0, 0, bctx.height - 1);
       const data = ctx.getImageData(sx, sy, 1, 1).data;
@@ -1120,14 +4135,16 @@
 
     stamp(bctx, x, y, pressure = 1.0) {
       const ctx = bctx.ctx;
-      const size = this.enablePressure ? this.size * pressure : this.size;
+      const { size, opacity, angle, roundness, scatter } = this.stampParameters(pressure, bctx.dynamics);
       const radius = size / 2;
+      const sx = x + (bctx.random() - 0.5) * size * scatter;
+      const sy = y + (bctx.random() - 0.5) * size * scatter;
       // Sample initial color if not set
       if (!this._lastSampleColor) {
-        this._lastSampleColor = this.sampleColorAt(bctx, x, y);
+        this._lastSampleColor = this.sampleColorAt(bctx, sx, sy);
       } else {
         // Blend towards current sample based on smudge amount
-        const curSample = this.sampleColorAt(bctx, x, y);
+        const curSample = this.sampleColorAt(bctx, sx, sy);
         const s = this.smudge;
         this._lastSampleColor = {
           r: lerp(this._lastSampleColor.r, curSample.r, s),
@@ -1141,14 +4158,14 @@
         this._lastSampleColor.r,
         this._lastSampleColor.g,
         this._lastSampleColor.b,
-        clamp(this._lastSampleColor.a * this.opacity, 0, 1)
+        clamp(this._lastSampleColor.a * opacity, 0, 1)
       );
 
       ctx.save();
       ctx.globalCompositeOperation = this.blendMode;
       ctx.fillStyle = col;
       ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.ellipse(sx, sy, radius * roundness, radius, deg2rad(angle), 0, Math.PI * 2);
       ctx.fill();
       ctx.restore();
     }
@@ -1168,23 +4185,35 @@
       this.decals = options.decals || []; // array of canvas/images
     }
 
+    // Decals keep their own edges, so there is no hardness
+    get dynamicsParameters() {
+      return ["size", "opacity", "flow", "angle", "roundness", "scatter"];
+    }
+
+    getStampReach(size) {
+      // Decals are at most 0.6 * size across and may be rotated, so allow for their half diagonal.
+      return size * this.scatter + size * 0.45;
+    }
+
     stamp(bctx, x, y, pressure = 1.0) {
       const ctx = bctx.ctx;
-      const size = this.enablePressure ? this.size * pressure : this.size;
+      const { size, opacity, flow, angle, roundness, scatter } = this.stampParameters(pressure, bctx.dynamics);
       const count = Math.round(1 + size * 0.05);
       for (let i = 0; i < count; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const radius = randFloat(0, size * this.scatter);
-        const sx = x + Math.cos(angle) * radius;
-        const sy = y + Math.sin(angle) * radius;
+        const direction = bctx.random() * Math.PI * 2;
+        const radius = randFloat(0, size * scatter, bctx.random);
+        const sx = x + Math.cos(direction) * radius;
+        const sy = y + Math.sin(direction) * radius;
 
         ctx.save();
         ctx.translate(sx, sy);
-        ctx.rotate(angle);
-        ctx.globalAlpha = clamp(this.opacity * this.flow * randFloat(0.5, 1), 0, 1);
+        // Each decal keeps its random turn, offset by the brush angle and squashed by roundness
+        ctx.rotate(direction + deg2rad(angle));
+        ctx.scale(roundness, 1);
+        ctx.globalAlpha = clamp(opacity * flow * randFloat(0.5, 1, bctx.random), 0, 1);
         if (this.decals.length) {
           const decal = this.decals[i % this.decals.length];
-          const scale = randFloat(0.4, 1.2);
+          const scale = randFloat(0.4, 1.2, bctx.random);
           ctx.drawImage(decal, -size * scale * 0.25, -size * scale * 0.25, size * scale * 0.5, size * scale * 0.5);
         } else {
           // Fallback decal shape
@@ -1201,13 +4230,42 @@
     }
   }
 
+  /**
+   * Brush classes by the names accepted by Painter.setBrushByName.
+   */
+  const BRUSH_TYPES = {
+    round: RoundBrush,
+    flat: FlatBrush,
+    calligraphy: CalligraphyBrush,
+    airbrush: Airbrush,
+    texture: TextureBrush,
+    smudge: SmudgeBrush,
+    scatter: ScatterBrush,
+  };
+
+  /**
+   * Name of the built-in brush type a brush is, or extends. Falls back to "round".
+   */
+  function brushTypeOf(brush) {
+    for (let cls = brush.constructor; cls && cls !== Brush; cls = Object.getPrototypeOf(cls)) {
+      for (const type in BRUSH_TYPES) {
+        if (BRUSH_TYPES[type] === cls) return type;
+      }
+    }
+    return "round";
+  }
+
+  const BEFORE_STROKE_TILE = 64; // pixels; pre-stroke pixels are copied a tile at a time
+
   /**
    * BrushEngine: manages brush lifecycle, stroke buffering, and stamping.
    */
-  class BrushEngine {
-    constructor(layerManager, colorPalette) {
+  class BrushEngine extends Emitter {
+    constructor(layerManager, colorPalette, history = null) {
+      super();
       this.layerManager = layerManager;
       this.colorPalette = colorPalette;
+      this.history = history; // when set, every stroke is recorded as an undoable Command
       this.activeBrush = new RoundBrush();
       this.currentColor = "#000000";
       this.smoothing = "catmull"; // "none" | "bezier" | "catmull"
@@ -1219,6 +4277,14 @@
       this._lastStampTime = 0;
       this._pressureFallback = 0.5;
       this._tilt = { x: 0, y: 0 };
+      this.random = Math.random; // replaced by the Painter's seeded generator
+      this._strokeBounds = null;
+      // Pre-stroke copies of the target layer, reused between strokes. Tiles are copied as
+      // stamps first reach them; only the region a stroke touched is kept in history.
+      this._beforeCanvas = null;
+      this._beforeDepthCanvas = null;
+      this._beforeTiles = null; // tiles copied so far this stroke, or null when not capturing
+      this.paintTarget = "color"; // "color" | "mask"
     }
 
     setBrush(brush) {
@@ -1230,39 +4296,101 @@
       this.currentColor = color;
     }
 
+    /**
+     * Choose what strokes paint into: the layer's "color" canvas, or its "mask". Mask strokes
+     * use the gray level of the current color (white reveals, black hides).
+     */
+    setPaintTarget(target) {
+      assert(target === "color" || target === "mask", `Unknown paint target: ${target}`);
+      this.paintTarget = target;
+    }
+
     setSmoothing(type = "catmull", resolution = 16) {
       this.smoothing = type;
       this.smoothingResolution = resolution;
     }
 
-    beginStroke(x, y, pressure = 0.5, tilt = { x: 0, y: 0 }) {
+    /**
+     * Start a stroke on the active layer. time is the input timestamp in milliseconds and
+     * defaults to performance.now(); passing recorded times makes time-dependent brushes
+     * (airbrush spray) reproducible. Each stroke draws its randomness from its own generator
+     * seeded with seed, or with a value taken from this.random; replaying a stroke with the
+     * same seed repaints it exactly.
+     *
+     * Emits "strokebegin", "strokemove" and "strokeend" with the raw input of the stroke.
+     */
+    beginStroke(x, y, pressure = 0.5, tilt = { x: 0, y: 0 }, time = performance.now(), seed = null) {
       const layer = this.layerManager.getActiveLayer();
       assert(layer, "No active layer to draw on");
-      const bctx = new BrushContext(layer, this.colorPalette);
+      const target = this.paintTarget;
+      assert(target === "color" || layer.maskCanvas, "The active layer has no mask to paint into");
+      assert(target === "mask" || !layer.isAdjustment, "Adjustment layers can only be painted in their mask");
+      assertBrushBlendMode(this.activeBrush.blendMode);
+      this.assertEditable(layer, "paint");
+      const strokeSeed = seed ?? (this.random() * 4294967296) >>> 0;
+      const bctx = new BrushContext(layer, this.colorPalette, createSeededRandom(strokeSeed), target);
+      if (this.activeBrush.sampleReference) {
+        const reference = renderReferenceLayers(this.layerManager);
+        if (reference) bctx.sampleCtx = reference.getContext("2d");
+      }
       this._bctx = bctx;
       this._isStroking = true;
       this._points.length = 0;
       this._lastStampPos = { x, y };
-      this._lastStampTime = performance.now();
+      this._lastStampTime = time;
       this._tilt = tilt || { x: 0, y: 0 };
-
-      const colorRGBA = this.colorPalette.toRGBA(this.currentColor);
+      this._strokeBounds = null;
+      this._strokeDistance = 0;
+      this._direction = 0;
+      this._speed = 0;
+      this._lastInput = { x, y, time };
+      this._alphaLocked = layer.alphaLocked && target === "color";
+      this._beforeTiles = null;
+      if (this.history || this._alphaLocked) this._captureBeforeStroke(layer);
+      // Relief lit in the background now would be redone once this stroke changes the heights
+      if (target === "color") layer.pauseShading();
+
+      const paintColor = target === "mask" ? this.colorPalette.toMaskGray(this.currentColor) : this.currentColor;
+      const colorRGBA = this.colorPalette.toRGBA(paintColor);
       this.activeBrush.beginStroke(bctx.ctx, colorRGBA);
+      this.emit("strokebegin", {
+        layer,
+        target,
+        x,
+        y,
+        pressure,
+        tilt: { ...this._tilt },
+        time,
+        seed: strokeSeed,
+        brush: this.activeBrush,
+        color: this.currentColor,
+      });
 
       // Initial stamp
       this._stampPoint(x, y, pressure);
     }
 
-    moveStroke(x, y, pressure = 0.5, tilt = { x: 0, y: 0 }) {
+    moveStroke(x, y, pressure = 0.5, tilt = { x: 0, y: 0 }, time = performance.now()) {
       if (!this._isStroking) return;
       this._tilt = tilt || { x: 0, y: 0 };
+      this.emit("strokemove", { x, y, pressure, tilt: { ...this._tilt }, time });
 
       this._points.push({ x, y, pressure });
       if (this._points.length > this.maxPointsBuffer) {
         this._points.shift();
       }
-
-      const spacing = this.activeBrush.getSpacingPx(pressure);
+      // Pointer travel for the dynamics inputs; speed is eased so uneven event timing does not jolt it
+      const input = this._lastInput;
+      const travel = distance(input.x, input.y, x, y);
+      if (travel > 0) this._direction = (Math.atan2(y - input.y, x - input.x) / (Math.PI * 2) + 1) % 1;
+      this._strokeDistance += travel;
+      this._speed = lerp(this._speed, travel / Math.max(time - input.time, 1), 0.5);
+      this._lastInput = { x, y, time };
+
+      // Spacing follows the inputs as they read now; random is only drawn per stamp and keeps
+      // the last stamp's value
+      const readings = this._readDynamics(this._tilt, this._bctx.dynamics.random);
+      const spacing = this.activeBrush.getSpacingPx(pressure, readings);
       const lastPos = this._lastStampPos || { x, y };
       const dist = distance(lastPos.x, lastPos.y, x, y);
       if (dist >= spacing) {
@@ -1282,31 +4410,172 @@
 
       // Airbrush continuous effect
       if (this.activeBrush instanceof Airbrush) {
-        const now = performance.now();
+        const now = time;
         const dt = now - this._lastStampTime;
         // Spray more on slower movement
         const speed = dist / Math.max(dt, 1);
         const extra = Math.max(0, (this.activeBrush.airflow * 10 - speed) | 0);
         for (let i = 0; i < extra; i++) {
-          this._stampPoint(x + randFloat(-1, 1), y + randFloat(-1, 1), pressure);
+          const random = this._bctx.random;
+          this._stampPoint(x + randFloat(-1, 1, random), y + randFloat(-1, 1, random), pressure);
         }
         this._lastStampTime = now;
       }
     }
 
-    endStroke() {
+    endStroke(time = performance.now()) {
       if (!this._isStroking) return;
       this._isStroking = false;
       this.activeBrush.endStroke(this._bctx.ctx);
       this._points.length = 0;
 
-      // Recompute shading from depth for active layer
-      this._applyDepthShading();
+      const layer = this._bctx.layer;
+      const strokeBounds = clipRect(this._strokeBounds, layer.canvas.width, layer.canvas.height);
+      if (strokeBounds && this._bctx.target === "mask") {
+        layer.invalidateMask(strokeBounds);
+        if (this.history) this._recordStroke(strokeBounds);
+      } else if (strokeBounds) {
+        // The relief painted into depthCanvas is relit at the next composite
+        layer.invalidateShading(strokeBounds);
+        if (this.history) this._recordStroke(strokeBounds);
+      }
+      if (this._bctx.target === "color") layer.resumeShading();
+      this.emit("strokeend", { layer, time, bounds: strokeBounds });
     }
 
     _stampPoint(x, y, pressure = 0.5) {
       const tilt = this._tilt || { x: 0, y: 0 };
+      this._bctx.dynamics = this._readDynamics(tilt);
+      const stampBounds = this.activeBrush.getStampBounds(x, y, pressure, this._bctx.dynamics);
+      this._captureBefore(stampBounds);
+      this._strokeBounds = unionRect(this._strokeBounds, stampBounds);
       this.activeBrush.stamp(this._bctx, x, y, pressure, tilt);
+      if (this._bctx.target === "mask") this._bctx.layer.invalidateMask(stampBounds);
+      else this._bctx.layer.markDirty(stampBounds);
+      if (this._alphaLocked) this._restoreCoverage(stampBounds);
+    }
+
+    // Readings of the dynamics inputs other than pressure for the next stamp, see
+    // Brush.stampParameters(). Unless given, random values are only drawn for brushes that
+    // use them, so other strokes keep their random sequence.
+    _readDynamics(tilt, random = null) {
+      const dynamics = Object.values(this.activeBrush.dynamics);
+      return {
+        tilt: clamp(Math.hypot(tilt.x, tilt.y) / 90, 0, 1),
+        velocity: clamp(this._speed / DYNAMICS_MAX_SPEED, 0, 1),
+        direction: this._direction,
+        random: random ?? (dynamics.some((d) => d.input === "random") ? this._bctx.random() : 0),
+        distance: this._strokeDistance,
+      };
+    }
+
+    /**
+     * Alpha lock: put back the pre-stroke alpha inside rect, keeping the new colors where the
+     * layer had coverage. Relief painted over empty pixels is undone as well.
+     */
+    _restoreCoverage(rect) {
+      const layer = this._bctx.layer;
+      const r = clipRect(rect, layer.canvas.width, layer.canvas.height);
+      if (!r) return;
+      const before = this._beforeCanvas.getContext("2d").getImageData(r.x, r.y, r.width, r.height).data;
+      const beforeDepth = this._beforeDepthCanvas.getContext("2d").getImageData(r.x, r.y, r.width, r.height).data;
+      const color = layer.ctx.getImageData(r.x, r.y, r.width, r.height);
+      const depth = layer.depthCtx.getImageData(r.x, r.y, r.width, r.height);
+      const c = color.data;
+      const d = depth.data;
+      for (let i = 0; i < c.length; i += 4) {
+        c[i + 3] = before[i + 3];
+        if (before[i + 3] === 0) {
+          c[i] = c[i + 1] = c[i + 2] = 0;
+          for (let k = 0; k < 4; k++) d[i + k] = beforeDepth[i + k];
+        }
+      }
+      layer.ctx.putImageData(color, r.x, r.y);
+      layer.depthCtx.putImageData(depth, r.x, r.y);
+    }
+
+    /**
+     * Why layer refuses edits, or null if it accepts them: reference layers are never
+     * modified and locked layers refuse strokes and fills.
+     */
+    getEditBlocker(layer) {
+      if (layer.isReference) return "reference";
+      if (layer.locked) return "locked";
+      if (layer.isTransforming) return "transforming";
+      return null;
+    }
+
+    /**
+     * Throw if layer refuses edits, after emitting "editrejected" { layer, action, reason }.
+     * The error carries the same reason.
+     */
+    assertEditable(layer, action) {
+      const reason = this.getEditBlocker(layer);
+      if (!reason) return;
+      this.emit("editrejected", { layer, action, reason });
+      const err = new Error(`Cannot ${action} on ${reason} layer "${layer.name}"`);
+      err.reason = reason;
+      throw err;
+    }
+
+    _captureBeforeStroke(layer) {
+      const { width, height } = layer.canvas;
+      if (!this._beforeCanvas || this._beforeCanvas.width !== width || this._beforeCanvas.height !== height) {
+        this._beforeCanvas = createOffscreenCanvas(width, height);
+        this._beforeDepthCanvas = createOffscreenCanvas(width, height);
+      }
+      const cols = Math.ceil(width / BEFORE_STROKE_TILE);
+      this._beforeTiles = new Uint8Array(cols * Math.ceil(height / BEFORE_STROKE_TILE));
+    }
+
+    /**
+     * Copy the tiles under rect that this stroke has not reached yet into the pre-stroke
+     * copies. Call it before anything is drawn into rect.
+     */
+    _captureBefore(rect) {
+      if (!this._beforeTiles) return;
+      const layer = this._bctx.layer;
+      const { width, height } = layer.canvas;
+      const r = clipRect(rect, width, height);
+      if (!r) return;
+      const size = BEFORE_STROKE_TILE;
+      const cols = Math.ceil(width / size);
+      // Mask strokes only touch the mask, which is kept in the color copy
+      const isMask = this._bctx.target === "mask";
+      const copies = isMask
+        ? [[this._beforeCanvas, layer.maskCanvas]]
+        : [
+            [this._beforeCanvas, layer.canvas],
+            [this._beforeDepthCanvas, layer.depthCanvas],
+          ];
+      for (let ty = Math.floor(r.y / size); ty <= Math.floor((r.y + r.height - 1) / size); ty++) {
+        for (let tx = Math.floor(r.x / size); tx <= Math.floor((r.x + r.width - 1) / size); tx++) {
+          if (this._beforeTiles[ty * cols + tx]) continue;
+          this._beforeTiles[ty * cols + tx] = 1;
+          const tile = clipRect({ x: tx * size, y: ty * size, width: size, height: size }, width, height);
+          for (const [copy, source] of copies) {
+            putCanvasRegion(copy.getContext("2d"), copyCanvasRegion(source, tile), tile.x, tile.y);
+          }
+        }
+      }
+    }
+
+    _recordStroke(bounds) {
+      const layer = this._bctx.layer;
+      const isMask = this._bctx.target === "mask";
+      // Tiles between stamps were never drawn on, so the layer still holds their old pixels
+      this._captureBefore(bounds);
+      const before = isMask
+        ? snapshotMaskRegion(layer, bounds, this._beforeCanvas)
+        : snapshotLayerRegion(layer, bounds, this._beforeCanvas, this._beforeDepthCanvas);
+      const after = isMask ? snapshotMaskRegion(layer, bounds) : snapshotLayerRegion(layer, bounds);
+      const cmd = new Command(
+        () => restoreLayerRegion(layer, after),
+        () => restoreLayerRegion(layer, before),
+        `Stroke: ${this.activeBrush.name}`,
+        snapshotPixels(before, after)
+      );
+      this.history.push(cmd);
     }
 
     _smoothPoints(points) {
@@ -1322,21 +4591,6 @@
       // catmull
       return catmullRomSpline(points, 0.5, this.smoothingResolution);
     }
-
-    _applyDepthShading() {
-      const layer = this.layerManager.getActiveLayer();
-      const ctx = layer.ctx;
-      const depthCtx = layer.depthCtx;
-
-      // Extract height map from depthCanvas
-      const hdata = depthCtx.getImageData(0, 0, layer.canvas.width, layer.canvas.height);
-      const normalMap = heightToNormalMap(hdata, 1.2);
-      const shadeMap = shadeFromNormalMap(normalMap, { x: 0.3, y: -0.6, z: 0.8 }, 0.25);
-
-      // Blur shading slightly for softer relief
-      const blurredShade = gaussianBlurImageData(shadeMap, 2);
-      drawImageData(depthCtx, blurredShade, 0, 0, 0.5);
-    }
   }
 
   // =========================================================================================
@@ -1350,6 +4604,7 @@
       this._bound = false;
       this._pressureSim = 0.5;
       this._isDown = false;
+      this.random = Math.random; // replaced by the Painter's seeded generator
 
       this._onPointerDown = this._onPointerDown.bind(this);
       this._onPointerMove = this._onPointerMove.bind(this);
@@ -1391,7 +4646,13 @@
       const pos = this._posFromEvent(e);
       const pressure = this._getPressure(e);
       const tilt = { x: e.tiltX || 0, y: e.tiltY || 0 };
-      this.brushEngine.beginStroke(pos.x, pos.y, pressure, tilt);
+      try {
+        this.brushEngine.beginStroke(pos.x, pos.y, pressure, tilt, e.timeStamp);
+      } catch (err) {
+        // Locked and reference layers report refusals through the engine's "editrejected" event
+        this._isDown = false;
+        if (!err.reason) throw err;
+      }
     }
 
     _onPointerMove(e) {
@@ -1399,24 +4660,766 @@
       const pos = this._posFromEvent(e);
       const pressure = this._getPressure(e);
       const tilt = { x: e.tiltX || 0, y: e.tiltY || 0 };
-      this.brushEngine.moveStroke(pos.x, pos.y, pressure, tilt);
+      this.brushEngine.moveStroke(pos.x, pos.y, pressure, tilt, e.timeStamp);
     }
 
     _onPointerUp(e) {
       if (!this._isDown) return;
       this._isDown = false;
-      this.brushEngine.endStroke();
+      this.brushEngine.endStroke(e.timeStamp);
+    }
+
+    _getPressure(e) {
+      // Use actual pointer pressure if available; otherwise simulate based on speed/acceleration
+      if (typeof e.pressure === "number" && e.pressure > 0) {
+        return clamp(e.pressure, 0.05, 1.0);
+      }
+      // simple fallback
+      this._pressureSim = clamp(this._pressureSim + (this.random() - 0.5) * 0.1, 0.1, 1.0);
+      return this._pressureSim;
+    }
+  }
+
+  // =========================================================================================
+  // Stroke Recording and Replay
+  // =========================================================================================
+
+  const RECORDING_FORMAT_VERSION = 1;
+
+  /**
+   * StrokeRecorder captures the raw input of every stroke a BrushEngine paints: positions,
+   * pressure, tilt and timestamps, plus the brush settings, color, smoothing, target layer id
+   * (and whether the stroke painted its color or mask) and stroke seed needed to repaint it. Recordings are plain JSON-safe objects.
+   */
+  class StrokeRecorder {
+    constructor(brushEngine) {
+      this.brushEngine = brushEngine;
+      this.recording = null;
+      this._stroke = null;
+      this._unsubscribe = [];
+    }
+
+    get isRecording() {
+      return !!this.recording;
+    }
+
+    start(width = this.brushEngine.layerManager.width, height = this.brushEngine.layerManager.height) {
+      if (this.recording) return;
+      this.recording = { version: RECORDING_FORMAT_VERSION, width, height, strokes: [] };
+      this._startTime = null;
+      const engine = this.brushEngine;
+      this._unsubscribe = [
+        engine.on("strokebegin", (e) => this._onBegin(e)),
+        engine.on("strokemove", (e) => this._onEvent("move", e)),
+        engine.on("strokeend", (e) => this._onEvent("end", e)),
+      ];
+    }
+
+    /**
+     * Stop recording and return the recording.
+     */
+    stop() {
+      for (const off of this._unsubscribe) off();
+      this._unsubscribe = [];
+      const recording = this.recording;
+      this.recording = null;
+      this._stroke = null;
+      return recording;
+    }
+
+    _onBegin(e) {
+      if (this._startTime == null) this._startTime = e.time;
+      const brush = e.brush;
+      this._stroke = {
+        layerId: e.layer.id,
+        target: e.target,
+        seed: e.seed,
+        color: e.color,
+        smoothing: { type: this.brushEngine.smoothing, resolution: this.brushEngine.smoothingResolution },
+        brush: { type: brushTypeOf(brush), settings: brush.getSettings() },
+        events: [],
+      };
+      // Image sources cannot be serialized; keep them for replays within this session
+      Object.defineProperty(this._stroke.brush, "sources", {
+        value: { texture: brush.texture || null, decals: brush.decals || null },
+        enumerable: false,
+      });
+      this.recording.strokes.push(this._stroke);
+      this._onEvent("begin", e);
+    }
+
+    _onEvent(type, e) {
+      if (!this._stroke) return;
+      const event = { type, t: e.time - this._startTime };
+      if (type !== "end") {
+        event.x = e.x;
+        event.y = e.y;
+        event.pressure = e.pressure;
+        event.tiltX = e.tilt.x;
+        event.tiltY = e.tilt.y;
+      }
+      this._stroke.events.push(event);
+      if (type === "end") this._stroke = null;
+    }
+  }
+
+  /**
+   * Replay a recording into a Painter. Options:
+   * - speed: playback rate; 1 is real time, 2 twice as fast, Infinity paints instantly (default 1)
+   * - scale: multiplies coordinates and brush size, e.g. to re-render at a higher resolution
+   * - signal: AbortSignal that stops playback after the current event
+   * - onProgress(strokesDone, strokesTotal): called after each stroke
+   * Strokes go to the layer with the recorded id when the painter has one, otherwise to its
+   * active layer. Texture and scatter brushes need the image sources of the recording session;
+   * without them the stroke is painted with a round brush. Resolves with the number of strokes painted.
+   */
+  async function replayRecording(painter, recording, options = {}) {
+    assert(recording && recording.version <= RECORDING_FORMAT_VERSION, "Unsupported stroke recording");
+    const speed = options.speed ?? 1;
+    const scale = options.scale ?? 1;
+    const engine = painter.brushEngine;
+    const savedBrush = engine.activeBrush;
+    const savedColor = engine.currentColor;
+    const savedSmoothing = { type: engine.smoothing, resolution: engine.smoothingResolution };
+    const savedTarget = engine.paintTarget;
+    const start = performance.now();
+    let painted = 0;
+
+    try {
+      for (const stroke of recording.strokes) {
+        const index = painter.layers.layers.findIndex((l) => l.id === stroke.layerId);
+        if (index !== -1) painter.layers.setActiveLayer(index);
+        engine.setBrush(brushFromRecording(stroke.brush, scale));
+        engine.setColor(stroke.color);
+        engine.setSmoothing(stroke.smoothing.type, stroke.smoothing.resolution);
+        engine.setPaintTarget(stroke.target || "color");
+
+        for (const ev of stroke.events) {
+          if (options.signal && options.signal.aborted) {
+            engine.endStroke();
+            painter.render();
+            return painted;
+          }
+          if (Number.isFinite(speed)) {
+            const wait = start + ev.t / speed - performance.now();
+            if (wait > 1) {
+              painter.render();
+              await new Promise((resolve) => setTimeout(resolve, wait));
+            }
+          }
+          const tilt = { x: ev.tiltX || 0, y: ev.tiltY || 0 };
+          if (ev.type === "begin") {
+            engine.beginStroke(ev.x * scale, ev.y * scale, ev.pressure, tilt, ev.t, stroke.seed);
+          } else if (ev.type === "move") {
+            engine.moveStroke(ev.x * scale, ev.y * scale, ev.pressure, tilt, ev.t);
+          } else {
+            engine.endStroke(ev.t);
+          }
+        }
+        // Recordings stopped mid-stroke have no end event
+        engine.endStroke();
+        painted++;
+        options.onProgress && options.onProgress(painted, recording.strokes.length);
+      }
+    } finally {
+      engine.setBrush(savedBrush);
+      engine.setColor(savedColor);
+      engine.setSmoothing(savedSmoothing.type, savedSmoothing.resolution);
+      engine.setPaintTarget(savedTarget);
+      painter.render();
+    }
+    return painted;
+  }
+
+  /**
+   * Recreate the brush of a recorded stroke, scaling its size.
+   */
+  function brushFromRecording(recorded, scale) {
+    const sources = recorded.sources || {};
+    const options = { ...recorded.settings, size: recorded.settings.size * scale };
+    if (recorded.type === "texture") {
+      if (!sources.texture) return new RoundBrush(options);
+      options.texture = sources.texture;
+    }
+    if (sources.decals) options.decals = sources.decals;
+    return new (BRUSH_TYPES[recorded.type] || RoundBrush)(options);
+  }
+
+  // =========================================================================================
+  // Archives and Project Files
+  // =========================================================================================
+
+  const PROJECT_FORMAT = "paintmaster-project";
+  const PROJECT_FORMAT_VERSION = 3; // 2: layer groups, 3: depth canvases hold heights and the light is saved
+  const PROJECT_MIME_TYPE = "application/x-paintmaster-project";
+
+  /**
+   * Turn a depth canvas saved before version 3 back into heights. Its relief was painted as
+   * white coverage and then overwritten with baked gray shading that kept that coverage as
+   * alpha, so whitening the colors restores the heights up to the shading's slight blur.
+   */
+  function migrateBakedRelief(depthCanvas) {
+    const { width, height } = depthCanvas;
+    const ctx = depthCanvas.getContext("2d");
+    const img = ctx.getImageData(0, 0, width, height);
+    const d = img.data;
+    for (let i = 0; i < d.length; i += 4) {
+      if (d[i + 3]) d[i] = d[i + 1] = d[i + 2] = 255;
+    }
+    ctx.putImageData(img, 0, 0);
+  }
+
+  let CRC32_TABLE = null;
+
+  /**
+   * CRC-32 (IEEE) checksum of a byte array, as used by ZIP.
+   */
+  function crc32(bytes) {
+    if (!CRC32_TABLE) {
+      CRC32_TABLE = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        CRC32_TABLE[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Write a ZIP archive from [{ name, data: Uint8Array }] entries, in order.
+   * Entries are stored uncompressed; PNG data is already compressed.
+   */
+  function writeZip(entries) {
+    const encoder = new TextEncoder();
+    const DOS_DATE = (0 << 9) | (1 << 5) | 1; // 1980-01-01, keeps output reproducible
+    const records = entries.map((entry) => ({
+      name: encoder.encode(entry.name),
+      data: entry.data,
+      crc: crc32(entry.data),
+    }));
+
+    let localSize = 0;
+    let centralSize = 0;
+    for (const r of records) {
+      localSize += 30 + r.name.length + r.data.length;
+      centralSize += 46 + r.name.length;
+    }
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+
+    for (const r of records) {
+      r.offset = pos;
+      view.setUint32(pos, 0x04034b50, true);
+      view.setUint16(pos + 4, 20, true); // version needed
+      view.setUint16(pos + 6, 0x0800, true); // UTF-8 names
+      view.setUint16(pos + 8, 0, true); // stored
+      view.setUint16(pos + 10, 0, true);
+      view.setUint16(pos + 12, DOS_DATE, true);
+      view.setUint32(pos + 14, r.crc, true);
+      view.setUint32(pos + 18, r.data.length, true);
+      view.setUint32(pos + 22, r.data.length, true);
+      view.setUint16(pos + 26, r.name.length, true);
+      view.setUint16(pos + 28, 0, true);
+      out.set(r.name, pos + 30);
+      out.set(r.data, pos + 30 + r.name.length);
+      pos += 30 + r.name.length + r.data.length;
+    }
+
+    const centralOffset = pos;
+    for (const r of records) {
+      view.setUint32(pos, 0x02014b50, true);
+      view.setUint16(pos + 4, 20, true); // version made by
+      view.setUint16(pos + 6, 20, true); // version needed
+      view.setUint16(pos + 8, 0x0800, true);
+      view.setUint16(pos + 10, 0, true);
+      view.setUint16(pos + 12, 0, true);
+      view.setUint16(pos + 14, DOS_DATE, true);
+      view.setUint32(pos + 16, r.crc, true);
+      view.setUint32(pos + 20, r.data.length, true);
+      view.setUint32(pos + 24, r.data.length, true);
+      view.setUint16(pos + 28, r.name.length, true);
+      // extra length, comment length, disk number, attributes: all zero
+      view.setUint32(pos + 42, r.offset, true);
+      out.set(r.name, pos + 46);
+      pos += 46 + r.name.length;
+    }
+
+    view.setUint32(pos, 0x06054b50, true);
+    view.setUint16(pos + 8, records.length, true);
+    view.setUint16(pos + 10, records.length, true);
+    view.setUint32(pos + 12, centralSize, true);
+    view.setUint32(pos + 16, centralOffset, true);
+    return out;
+  }
+
+  /**
+   * Read a ZIP archive into a Map of entry name -> Uint8Array. Supports stored entries, and
+   * deflated ones where the platform provides DecompressionStream.
+   */
+  async function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    assert(eocd >= 0, "Not a ZIP archive");
+
+    const decoder = new TextDecoder();
+    const count = view.getUint16(eocd + 10, true);
+    const files = new Map();
+    let pos = view.getUint32(eocd + 16, true);
+    for (let i = 0; i < count; i++) {
+      assert(view.getUint32(pos, true) === 0x02014b50, "Corrupt ZIP central directory");
+      const method = view.getUint16(pos + 10, true);
+      const compressedSize = view.getUint32(pos + 20, true);
+      const nameLength = view.getUint16(pos + 28, true);
+      const extraLength = view.getUint16(pos + 30, true);
+      const commentLength = view.getUint16(pos + 32, true);
+      const localOffset = view.getUint32(pos + 42, true);
+      const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+      assert(method === 0 || method === 8, `Unsupported ZIP compression method ${method} for ${name}`);
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      files.set(name, method === 8 ? await inflateRaw(data) : data);
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+  }
+
+  /**
+   * Decompress raw DEFLATE data (ZIP method 8).
+   */
+  async function inflateRaw(data) {
+    assert(typeof DecompressionStream === "function", "Deflated ZIP entries need DecompressionStream support");
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * True if every pixel of the canvas is fully transparent.
+   */
+  function isCanvasEmpty(canvas) {
+    const { data } = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] !== 0) return false;
+    }
+    return true;
+  }
+
+  const ORA_MIME_TYPE = "image/openraster";
+  const ORA_NAMESPACE = "urn:paintmasterjs:openraster";
+
+  /**
+   * OpenRaster composite-op names for each entry of BLEND_MODES.
+   */
+  const ORA_COMPOSITE_OPS = {
+    "source-over": "svg:src-over",
+    "destination-over": "svg:dst-over",
+    multiply: "svg:multiply",
+    screen: "svg:screen",
+    overlay: "svg:overlay",
+    darken: "svg:darken",
+    lighten: "svg:lighten",
+    "color-dodge": "svg:color-dodge",
+    "color-burn": "svg:color-burn",
+    "hard-light": "svg:hard-light",
+    "soft-light": "svg:soft-light",
+    difference: "svg:difference",
+    exclusion: "svg:exclusion",
+    hue: "svg:hue",
+    saturation: "svg:saturation",
+    color: "svg:color",
+    luminosity: "svg:luminosity",
+    "linear-dodge": "svg:plus",
+    // No standard op; other readers fall back to normal
+    "linear-burn": "paintmaster:linear-burn",
+    "vivid-light": "paintmaster:vivid-light",
+    "linear-light": "paintmaster:linear-light",
+    "pin-light": "paintmaster:pin-light",
+    "hard-mix": "paintmaster:hard-mix",
+    subtract: "paintmaster:subtract",
+    divide: "paintmaster:divide",
+  };
+
+  function blendModeToORA(mode) {
+    return ORA_COMPOSITE_OPS[mode] || "svg:src-over";
+  }
+
+  function blendModeFromORA(op) {
+    for (const mode in ORA_COMPOSITE_OPS) {
+      if (ORA_COMPOSITE_OPS[mode] === op) return mode;
+    }
+    return "source-over";
+  }
+
+  function escapeXML(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  function unescapeXML(str) {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+      if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+      return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[e.toLowerCase()];
+    });
+  }
+
+  /**
+   * Minimal parser for OpenRaster stack.xml. Returns the <image> attributes and the <layer>
+   * elements top to bottom. Each layer gets numeric `opacity`, boolean `visible` and `stack`,
+   * its enclosing nested <stack> ({ ...attributes, opacity, visible, parent }), or null
+   * directly under the root stack.
+   */
+  function parseORAStack(xml) {
+    const tagRe = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    const attrRe = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const stacks = []; // open <stack> elements; the outermost one is the root, recorded as null
+    const layers = [];
+    let image = null;
+    let m;
+    while ((m = tagRe.exec(xml))) {
+      const [, closing, name, attrText, selfClosing] = m;
+      if (closing) {
+        if (name === "stack") stacks.pop();
+        continue;
+      }
+      const attrs = {};
+      let a;
+      attrRe.lastIndex = 0;
+      while ((a = attrRe.exec(attrText))) attrs[a[1]] = unescapeXML(a[2] ?? a[3]);
+
+      const parent = stacks.length ? stacks[stacks.length - 1] : null;
+      const opacity = clamp(parseFloat(attrs.opacity ?? "1"), 0, 1);
+      const visible = attrs.visibility !== "hidden";
+      if (name === "image") {
+        image = attrs;
+      } else if (name === "stack" && !selfClosing) {
+        stacks.push(stacks.length ? { ...attrs, opacity, visible, parent } : null);
+      } else if (name === "layer") {
+        layers.push({ ...attrs, opacity, visible, stack: parent });
+      }
     }
+    assert(image, "stack.xml has no <image> element");
+    return { image, layers };
+  }
+
+  /**
+   * Bytes of a Blob, ArrayBuffer or typed array.
+   */
+  async function toBytes(source) {
+    if (source instanceof Uint8Array) return source;
+    if (ArrayBuffer.isView(source)) return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    if (source instanceof ArrayBuffer) return new Uint8Array(source);
+    return new Uint8Array(await source.arrayBuffer());
+  }
+
+  /**
+   * Encode a canvas as PNG bytes.
+   */
+  function canvasToPNGBytes(canvas) {
+    return getCanvasBackend().encode(canvas, "image/png");
+  }
+
+  /**
+   * Decode encoded image bytes into something drawImage accepts.
+   */
+  function decodeImageBytes(bytes, type = "image/png") {
+    return getCanvasBackend().loadImage(bytes, type);
+  }
+
+  // =========================================================================================
+  // PSD Export
+  // =========================================================================================
+
+  const PSD_MIME_TYPE = "image/vnd.adobe.photoshop";
+
+  /**
+   * Photoshop blend-mode keys for each entry of BLEND_MODES. Modes without an equivalent map to "norm".
+   */
+  const PSD_BLEND_KEYS = {
+    "source-over": "norm",
+    "destination-over": "norm",
+    multiply: "mul ",
+    screen: "scrn",
+    overlay: "over",
+    darken: "dark",
+    lighten: "lite",
+    "color-dodge": "div ",
+    "color-burn": "idiv",
+    "hard-light": "hLit",
+    "soft-light": "sLit",
+    difference: "diff",
+    exclusion: "smud",
+    hue: "hue ",
+    saturation: "sat ",
+    color: "colr",
+    luminosity: "lum ",
+    "linear-burn": "lbrn",
+    "linear-dodge": "lddg",
+    "vivid-light": "vLit",
+    "linear-light": "lLit",
+    "pin-light": "pLit",
+    "hard-mix": "hMix",
+    subtract: "fsub",
+    divide: "fdiv",
+    "pass-through": "pass",
+  };
+
+  /**
+   * Growable big-endian byte buffer used by the PSD writer.
+   */
+  class BinaryWriter {
+    constructor(capacity = 1024) {
+      this.bytes = new Uint8Array(capacity);
+      this.view = new DataView(this.bytes.buffer);
+      this.length = 0;
+    }
+
+    _ensure(extra) {
+      if (this.length + extra <= this.bytes.length) return;
+      let capacity = this.bytes.length * 2;
+      while (capacity < this.length + extra) capacity *= 2;
+      const next = new Uint8Array(capacity);
+      next.set(this.bytes.subarray(0, this.length));
+      this.bytes = next;
+      this.view = new DataView(next.buffer);
+    }
+
+    u8(v) {
+      this._ensure(1);
+      this.view.setUint8(this.length, v);
+      this.length += 1;
+    }
+
+    u16(v) {
+      this._ensure(2);
+      this.view.setUint16(this.length, v);
+      this.length += 2;
+    }
+
+    i16(v) {
+      this._ensure(2);
+      this.view.setInt16(this.length, v);
+      this.length += 2;
+    }
+
+    u32(v) {
+      this._ensure(4);
+      this.view.setUint32(this.length, v);
+      this.length += 4;
+    }
+
+    i32(v) {
+      this._ensure(4);
+      this.view.setInt32(this.length, v);
+      this.length += 4;
+    }
+
+    ascii(str) {
+      for (let i = 0; i < str.length; i++) this.u8(str.charCodeAt(i) & 0xff);
+    }
+
+    write(bytes) {
+      this._ensure(bytes.length);
+      this.bytes.set(bytes, this.length);
+      this.length += bytes.length;
+    }
+
+    pad(multiple, from = 0) {
+      while ((this.length - from) % multiple) this.u8(0);
+    }
+
+    /**
+     * Write a placeholder uint32 and return a function that fills in the number of bytes
+     * written since the placeholder.
+     */
+    lengthMarker() {
+      const pos = this.length;
+      this.u32(0);
+      return () => this.view.setUint32(pos, this.length - pos - 4);
+    }
+
+    toUint8Array() {
+      return this.bytes.slice(0, this.length);
+    }
+  }
+
+  /**
+   * PackBits-encode one channel of an RGBA buffer row by row.
+   * Returns the per-row byte counts and the concatenated packed rows.
+   */
+  function packBitsChannel(rgba, width, height, channel) {
+    const counts = new Uint16Array(height);
+    const out = new Uint8Array(height * (width + Math.ceil(width / 128)));
+    let o = 0;
+    for (let y = 0; y < height; y++) {
+      const rowStart = o;
+      const base = y * width * 4 + channel;
+      const at = (x) => rgba[base + x * 4];
+      let x = 0;
+      while (x < width) {
+        let run = 1;
+        while (x + run < width && run < 128 && at(x + run) === at(x)) run++;
+        if (run > 1) {
+          out[o++] = 257 - run; // -(run - 1) as a signed byte
+          out[o++] = at(x);
+          x += run;
+          continue;
+        }
+        // Literal block until a run of three or more starts
+        const start = x;
+        while (x < width && x - start < 128) {
+          if (x + 2 < width && at(x) === at(x + 1) && at(x) === at(x + 2)) break;
+          x++;
+        }
+        out[o++] = x - start - 1;
+        for (let i = start; i < x; i++) out[o++] = at(i);
+      }
+      counts[y] = o - rowStart;
+    }
+    return { counts, data: out.subarray(0, o) };
+  }
+
+  /**
+   * Encode one layer channel as PSD channel image data (RLE compression).
+   */
+  function encodePSDLayerChannel(rgba, width, height, channel) {
+    const { counts, data } = packBitsChannel(rgba, width, height, channel);
+    const w = new BinaryWriter(2 + counts.length * 2 + data.length);
+    w.u16(1); // RLE
+    for (const c of counts) w.u16(c);
+    w.write(data);
+    return w.toUint8Array();
+  }
+
+  /**
+   * Write a layered PSD. Each entry of layers is
+   * { name, canvas, opacity, visible, blendMode, clipped } listed bottom to top;
+   * composite is the flattened preview canvas of the same size.
+   * Groups are written the Photoshop way: an entry { section: "end" } below the group's
+   * layers and an entry { section: "group", name, opacity, visible, blendMode } above them.
+   */
+  function writePSD(width, height, layers, composite) {
+    const w = new BinaryWriter(1 << 16);
+
+    // File header
+    w.ascii("8BPS");
+    w.u16(1);
+    for (let i = 0; i < 6; i++) w.u8(0);
+    w.u16(3); // RGB composite
+    w.u32(height);
+    w.u32(width);
+    w.u16(8);
+    w.u16(3); // RGB color mode
+
+    w.u32(0); // color mode data
+    w.u32(0); // image resources
+
+    // Layer and mask information
+    const endLayerAndMask = w.lengthMarker();
+    const endLayerInfo = w.lengthMarker();
+    const layerInfoStart = w.length;
+    w.i16(layers.length);
+
+    const emptyChannel = new Uint8Array(2); // raw compression, no pixels
+    const channelData = layers.map((layer) => {
+      if (layer.section) return [-1, 0, 1, 2].map((id) => ({ id, data: emptyChannel }));
+      const rgba = layer.canvas.getContext("2d").getImageData(0, 0, width, height).data;
+      // Channel ids: -1 transparency, 0 red, 1 green, 2 blue
+      return [
+        { id: -1, data: encodePSDLayerChannel(rgba, width, height, 3) },
+        { id: 0, data: encodePSDLayerChannel(rgba, width, height, 0) },
+        { id: 1, data: encodePSDLayerChannel(rgba, width, height, 1) },
+        { id: 2, data: encodePSDLayerChannel(rgba, width, height, 2) },
+      ];
+    });
 
-    _getPressure(e) {
-      // Use actual pointer pressure if available; otherwise simulate based on speed/acceleration
-      if (typeof e.pressure === "number" && e.pressure > 0) {
-        return clamp(e.pressure, 0.05, 1.0);
+    layers.forEach((layer, i) => {
+      const extent = layer.section ? 0 : 1;
+      w.i32(0);
+      w.i32(0);
+      w.i32(height * extent);
+      w.i32(width * extent);
+      w.u16(channelData[i].length);
+      for (const ch of channelData[i]) {
+        w.i16(ch.id);
+        w.u32(ch.data.length);
       }
-      // simple fallback
-      this._pressureSim = clamp(this._pressureSim + (Math.random() - 0.5) * 0.1, 0.1, 1.0);
-      return this._pressureSim;
+      const blendKey = PSD_BLEND_KEYS[layer.blendMode] || "norm";
+      w.ascii("8BIM");
+      w.ascii(layer.section === "end" ? "norm" : blendKey);
+      w.u8(Math.round(clamp(layer.opacity ?? 1, 0, 1) * 255));
+      w.u8(layer.clipped ? 1 : 0); // clipping: 0 base, 1 clipped to the layer below
+      w.u8(layer.visible ?? true ? 0 : 0x02); // bit 1 set means hidden
+      w.u8(0);
+
+      const endExtra = w.lengthMarker();
+      w.u32(0); // layer mask data
+      w.u32(0); // blending ranges
+
+      // Pascal name padded to 4 bytes; non-ASCII characters only survive in the 'luni' block below
+      const extraStart = w.length;
+      const name = layer.section === "end" ? "</Layer group>" : layer.name;
+      const ascii = name.replace(/[^\x20-\x7e]/g, "?").substring(0, 255);
+      w.u8(ascii.length);
+      w.ascii(ascii);
+      w.pad(4, extraStart);
+
+      w.ascii("8BIM");
+      w.ascii("luni");
+      const endUnicode = w.lengthMarker();
+      w.u32(name.length);
+      for (let c = 0; c < name.length; c++) w.u16(name.charCodeAt(c));
+      w.pad(4, extraStart);
+      endUnicode();
+
+      if (layer.section) {
+        // Section divider: 1 open folder, 3 bounding divider
+        w.ascii("8BIM");
+        w.ascii("lsct");
+        const endSection = w.lengthMarker();
+        w.u32(layer.section === "group" ? 1 : 3);
+        if (layer.section === "group") {
+          w.ascii("8BIM");
+          w.ascii(blendKey);
+        }
+        endSection();
+      }
+      endExtra();
+    });
+
+    for (const channels of channelData) {
+      for (const ch of channels) w.write(ch.data);
+    }
+    w.pad(4, layerInfoStart);
+    endLayerInfo();
+    w.u32(0); // global layer mask info
+    endLayerAndMask();
+
+    // Merged image: RLE, all row counts first, then the packed planes
+    const rgba = composite.getContext("2d").getImageData(0, 0, width, height).data;
+    const planes = [0, 1, 2].map((c) => packBitsChannel(rgba, width, height, c));
+    w.u16(1);
+    for (const plane of planes) {
+      for (const c of plane.counts) w.u16(c);
     }
+    for (const plane of planes) w.write(plane.data);
+
+    return w.toUint8Array();
   }
 
   // =========================================================================================
@@ -1433,23 +5436,62 @@
 
       this.palette = new ColorPalette(options.customColors || []);
       this.layers = new LayerManager(this.width, this.height);
-      this.history = new HistoryManager(options.historyLimit || 200);
-      this.brushEngine = new BrushEngine(this.layers, this.palette);
+      this.layers.softwareBlending = options.softwareBlending ?? false;
+      // Workers lighting relief off the main thread (0 lights it while rendering)
+      const reliefWorkers = options.reliefWorkers ?? (ReliefWorkerPool.isSupported() ? ReliefWorkerPool.defaultSize() : 0);
+      this.reliefWorkers = reliefWorkers > 0 ? new ReliefWorkerPool(reliefWorkers) : null;
+      this.layers.reliefWorkers = this.reliefWorkers;
+      if (this.reliefWorkers) this.reliefWorkers.on("relit", () => this.render());
+      this.history = new HistoryManager(options.historyLimit || 200, { byteBudget: options.historyByteBudget });
+      this.brushEngine = new BrushEngine(this.layers, this.palette, this.history);
       this.input = new InputController(canvas, this.brushEngine);
+      this.recorder = new StrokeRecorder(this.brushEngine);
+      this.setRandom(options.random, options.seed);
 
       // Default setup
       this.layers.addLayer({ name: "Background", visible: true, isReference: true });
       this.layers.addLayer({ name: "Paint Layer", visible: true });
+      this.layers.setActiveLayer(1); // the reference background refuses strokes
 
       this.brushEngine.setColor("#000000");
       this.brushEngine.setBrush(new RoundBrush({ size: 24, opacity: 0.9, spacing: 0.1, depthStrength: 0.2 }));
 
+      this._renderedView = null; // canvas size and grid at the last render
       this.render(); // initial
-      this.input.bind();
+      // Headless canvases (node-canvas) have no pointer events to bind
+      if (options.bindInput ?? typeof canvas.addEventListener === "function") {
+        this.input.bind();
+      }
 
       // Optional grid or reference
       this._gridEnabled = options.gridEnabled ?? false;
       this._gridSize = options.gridSize ?? 32;
+
+      this._transformLayer = null; // layer under free transform, see beginTransform()
+    }
+
+    /**
+     * Install the random generator shared by brushes, simulated pressure and layer ids.
+     * Pass a function returning floats in [0, 1), or omit it to use the built-in seeded
+     * generator with the given seed (a fresh seed is picked if none is given).
+     * Returns the seed in use, or null for a custom generator.
+     */
+    setRandom(random = null, seed = null) {
+      if (random) {
+        this.seed = null;
+      } else {
+        this.seed = seed ?? (Math.random() * 4294967296) >>> 0;
+        random = createSeededRandom(this.seed);
+      }
+      this.random = random;
+      this.layers.random = random;
+      this.brushEngine.random = random;
+      this.input.random = random;
+      return this.seed;
+    }
+
+    setSeed(seed) {
+      return this.setRandom(null, seed);
     }
 
     setBrushByName(name, options = {}) {
@@ -1491,105 +5533,740 @@
       if (!layer) return;
       const previous = layer.blendMode;
       const cmd = new Command(
-        () => (layer.blendMode = mode),
-        () => (layer.blendMode = previous),
-        `Set Blend Mode: ${mode}`
+        () => (layer.blendMode = mode),
+        () => (layer.blendMode = previous),
+        `Set Blend Mode: ${mode}`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    addLayer(name = "New Layer") {
+      return this._pushStructureChange(`Add Layer: ${name}`, () => {
+        const layer = this.layers.addLayer({ name, visible: true });
+        this.layers.setActiveLayer(this.layers.layers.length - 1);
+        return layer;
+      });
+    }
+
+    /**
+     * Add an adjustment layer above the active layer. See ADJUSTMENT_DEFAULTS for the types
+     * and their parameters.
+     */
+    addAdjustmentLayer(type, params = {}, name = null) {
+      return this._pushStructureChange(`Add Adjustment: ${type}`, () =>
+        this.layers.addAdjustmentLayer({ type, params }, name ? { name } : {})
+      );
+    }
+
+    /**
+     * Change some parameters of an adjustment layer.
+     */
+    setAdjustmentParams(index, params) {
+      const l = this.layers.layers[index];
+      assert(l && l.isAdjustment, `Layer ${index} is not an adjustment layer`);
+      const previous = l.adjustment;
+      const next = { type: previous.type, params: { ...previous.params, ...params } };
+      const cmd = new Command(
+        () => (l.adjustment = next),
+        () => (l.adjustment = previous),
+        `Adjust: ${l.name}`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    /**
+     * Change the document light (direction, color, ambient, specular, shininess, strength,
+     * blur; see LIGHT_DEFAULTS) and relight every layer's relief. Undoable; heights are untouched.
+     */
+    setLight(settings) {
+      const previous = this.layers.light;
+      const next = normalizeLight(settings, previous);
+      const cmd = new Command(
+        () => (this.layers.light = next),
+        () => (this.layers.light = previous),
+        "Change Light"
+      );
+      this.history.push(cmd);
+      this.render();
+      return next;
+    }
+
+    getLight() {
+      return deepClone(this.layers.light);
+    }
+
+    removeActiveLayer() {
+      const index = this.layers.activeLayerIndex;
+      if (index < 0) return;
+      const layerSnapshot = this._snapshotLayer(index);
+      const cmd = new Command(
+        () => this.layers.removeLayer(index),
+        () => this._restoreLayerSnapshot(index, layerSnapshot),
+        `Remove Layer`,
+        snapshotPixels(layerSnapshot)
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    /**
+     * Copy a layer (pixels, depth, mask and all properties) into a new layer just above it.
+     * Returns the copy.
+     */
+    duplicateLayer(index = this.layers.activeLayerIndex) {
+      const l = this.layers.layers[index];
+      assert(l, `No layer at index ${index}`);
+      return this._pushStructureChange(`Duplicate Layer: ${l.name}`, () => {
+        const LayerClass = l.isAdjustment ? AdjustmentLayer : Layer;
+        const copy = new LayerClass(l.canvas.width, l.canvas.height, {
+          ...l.getProperties(),
+          name: `${l.name} copy`,
+          parent: l.parent,
+          random: this.random,
+        });
+        copy.ctx.drawImage(l.canvas, 0, 0);
+        copy.depthCtx.drawImage(l.depthCanvas, 0, 0);
+        if (l.maskCanvas) copy.setMask(this._toCanvas(l.maskCanvas));
+        this.layers.layers.splice(index + 1, 0, copy);
+        this.layers.activeLayerIndex = index + 1;
+        return copy;
+      });
+    }
+
+    /**
+     * Merge a layer into the layer directly below it in the same group. The upper layer's
+     * color pass (with its blendMode, opacity, mask, styles and clipping) is composited onto
+     * the lower layer exactly as compositeTo draws it, after the lower layer's own opacity,
+     * mask and styles have been baked in. Heights are merged the same way at each layer's
+     * opacity, as _mergedHeights does, so the relief stays lit by the document light rather
+     * than being baked into the color. The merged layer keeps the lower layer's blendMode and
+     * clipping.
+     */
+    mergeDown(index = this.layers.activeLayerIndex) {
+      const upper = this.layers.layers[index];
+      const lower = this.layers.layers[index - 1];
+      assert(upper && lower && upper.parent === lower.parent, "Merge down needs a layer below it in the same group");
+      assert(!upper.isAdjustment && !lower.isAdjustment, "Adjustment layers cannot be merged");
+      this.brushEngine.assertEditable(lower, "merge");
+      this.brushEngine.assertEditable(upper, "merge");
+
+      const { width, height } = lower.canvas;
+      const rect = { x: 0, y: 0, width, height };
+      const scratch = createOffscreenCanvas(width, height);
+      const lowerColor = lower.renderMasked(lower.canvas, scratch);
+      const color = createOffscreenCanvas(width, height);
+      const depth = createOffscreenCanvas(width, height);
+      const colorCtx = color.getContext("2d");
+      compositeCanvas(renderLayerStyles(lowerColor, lower.styles, createOffscreenCanvas(width, height)), colorCtx, 0, 0, "source-over", lower.opacity);
+      compositeCanvas(lower.renderMasked(lower.depthCanvas, scratch), depth.getContext("2d"), 0, 0, "source-over", lower.opacity);
+      // A clipped upper layer is clipped to the lower one and takes on its opacity, as in
+      // compositeTo. When both are clipped they share a base further down, which still clips the result.
+      const clipsToLower = upper.clipped && !lower.clipped;
+      const clipAlpha = clipsToLower ? this._toCanvas(lower.renderMasked(lower.canvas, scratch)) : null;
+      if (upper.visible) {
+        const opacity = clipsToLower ? lower.opacity : 1.0;
+        this.layers.drawLayer(colorCtx, upper, opacity, clipAlpha, { relief: false });
+        const upperDepth = upper.renderMasked(upper.depthCanvas, scratch);
+        compositeCanvas(clipAlpha ? this.layers._clipTo(upperDepth, clipAlpha) : upperDepth, depth.getContext("2d"), 0, 0, "source-over", upper.opacity * opacity);
+      }
+
+      const before = this._captureStructure();
+      const beforePixels = snapshotLayerRegion(lower, rect);
+      const afterPixels = snapshotLayerRegion(lower, rect, color, depth);
+      const properties = lower.getProperties();
+      const mask = lower.maskCanvas;
+      this.layers.layers.splice(index, 1);
+      this.layers.activeLayerIndex = index - 1;
+      const after = this._captureStructure();
+
+      const cmd = new Command(
+        () => {
+          restoreLayerRegion(lower, afterPixels);
+          Object.assign(lower, { opacity: 1, styles: [] });
+          lower.setMask(null);
+          this._restoreStructure(after);
+        },
+        () => {
+          restoreLayerRegion(lower, beforePixels);
+          Object.assign(lower, properties, { styles: deepClone(properties.styles) });
+          lower.setMask(mask);
+          this._restoreStructure(before);
+        },
+        `Merge Down: ${upper.name}`,
+        snapshotPixels(beforePixels, afterPixels)
+      );
+      this.history.push(cmd);
+      this.render();
+      return lower;
+    }
+
+    /**
+     * Replace all layers with a single layer holding the visible image, as render() shows it
+     * (background color included). Hidden layers are discarded.
+     */
+    flattenImage() {
+      const { width, height } = this.layers;
+      return this._pushStructureChange("Flatten Image", () => {
+        const flat = new Layer(width, height, { name: "Flattened", random: this.random });
+        this.layers.compositeTo(flat.ctx);
+        this.layers.layers.splice(0, this.layers.layers.length, flat);
+        this.layers.activeLayerIndex = 0;
+        return flat;
+      });
+    }
+
+    /**
+     * Start a free transform of a layer (the active one by default). Preview it with
+     * updateTransform() and finish with commitTransform() or cancelTransform().
+     */
+    beginTransform(index = this.layers.activeLayerIndex) {
+      const layer = this.layers.layers[index];
+      assert(layer, `No layer at index ${index}`);
+      assert(!this._transformLayer, "A transform is already in progress");
+      this.brushEngine.assertEditable(layer, "transform");
+      layer.beginTransform();
+      this._transformLayer = layer;
+    }
+
+    /**
+     * Preview the transform in progress. Takes a matrix { a, b, c, d, e, f } or
+     * composeTransform() parameters, whose origin defaults to the layer center.
+     * Returns the matrix.
+     */
+    updateTransform(transform) {
+      const layer = this._transformLayer;
+      assert(layer, "No transform in progress");
+      const matrix =
+        "a" in transform
+          ? transform
+          : composeTransform({ originX: layer.canvas.width / 2, originY: layer.canvas.height / 2, ...transform });
+      layer.previewTransform(matrix);
+      this.render();
+      return matrix;
+    }
+
+    /**
+     * Resample the transformed layer with filter ("nearest", "bilinear" or "bicubic") as one
+     * undo step covering its color, depth and mask.
+     */
+    commitTransform({ filter = "bilinear" } = {}) {
+      const layer = this._transformLayer;
+      assert(layer, "No transform in progress");
+      this._transformLayer = null;
+      const source = layer.commitTransform(filter);
+      const before = this._snapshotLayerPixels(layer, source.color, source.depth, source.mask);
+      this._pushLayerPixelsChange(layer, "Free Transform", before, this._snapshotLayerPixels(layer));
+    }
+
+    cancelTransform() {
+      const layer = this._transformLayer;
+      if (!layer) return;
+      this._transformLayer = null;
+      layer.cancelTransform();
+      this.render();
+    }
+
+    /**
+     * Mirror a layer "horizontal"ly or "vertical"ly, losslessly.
+     */
+    flipLayer(axis, index = this.layers.activeLayerIndex) {
+      this._transformLayerExact(index, axis === "horizontal" ? "Flip Horizontal" : "Flip Vertical", (l) => l.flip(axis));
+    }
+
+    /**
+     * Turn a layer clockwise by quarter turns (negative for counterclockwise), losslessly.
+     */
+    rotateLayer90(turns = 1, index = this.layers.activeLayerIndex) {
+      this._transformLayerExact(index, `Rotate ${turns * 90}°`, (l) => l.rotate90(turns));
+    }
+
+    _transformLayerExact(index, label, transform) {
+      const layer = this.layers.layers[index];
+      assert(layer, `No layer at index ${index}`);
+      this.brushEngine.assertEditable(layer, "transform");
+      const before = this._snapshotLayerPixels(layer);
+      transform(layer);
+      this._pushLayerPixelsChange(layer, label, before, this._snapshotLayerPixels(layer));
+    }
+
+    // Whole-layer color, depth and mask snapshots, taken from the given sources
+    _snapshotLayerPixels(layer, canvas = layer.canvas, depthCanvas = layer.depthCanvas, maskCanvas = layer.maskCanvas) {
+      const rect = { x: 0, y: 0, width: layer.canvas.width, height: layer.canvas.height };
+      const snapshots = [snapshotLayerRegion(layer, rect, canvas, depthCanvas)];
+      if (maskCanvas) snapshots.push(snapshotMaskRegion(layer, rect, maskCanvas));
+      return snapshots;
+    }
+
+    _pushLayerPixelsChange(layer, label, before, after) {
+      const restore = (snapshots) => () => snapshots.forEach((s) => restoreLayerRegion(layer, s));
+      this.history.push(new Command(restore(after), restore(before), label, snapshotPixels(...before, ...after)));
+      this.render();
+    }
+
+    /**
+     * Change the document size without scaling, keeping the content pinned at anchor
+     * ("top-left", "top", "top-right", "left", "center", "right", "bottom-left", "bottom" or
+     * "bottom-right"). Growing adds transparent space; shrinking cuts content off.
+     */
+    resizeCanvas(width, height, anchor = "center") {
+      const fractions = ANCHOR_FRACTIONS[anchor];
+      assert(fractions, `Unknown anchor: ${anchor}`);
+      assert(width > 0 && height > 0, "Canvas size must be positive");
+      const offsetX = Math.round((width - this.layers.width) * fractions[0]);
+      const offsetY = Math.round((height - this.layers.height) * fractions[1]);
+      this._pushGeometryChange("Canvas Size", () => this.layers.resizeCanvas(width, height, offsetX, offsetY));
+    }
+
+    /**
+     * Scale the whole document to width x height with filter ("nearest", "bilinear" or "bicubic").
+     */
+    resampleImage(width, height, { filter = "bilinear" } = {}) {
+      assert(width > 0 && height > 0, "Image size must be positive");
+      this._pushGeometryChange("Image Size", () => this.layers.resample(width, height, filter));
+    }
+
+    /**
+     * Cut the document down to rect { x, y, width, height }, clipped to the canvas.
+     */
+    crop(rect) {
+      const r = clipRect(rect, this.layers.width, this.layers.height);
+      assert(r, "Crop rectangle is outside the canvas");
+      this._pushGeometryChange("Crop", () => this.layers.resizeCanvas(r.width, r.height, -r.x, -r.y));
+    }
+
+    /**
+     * Turn the whole document clockwise by quarter turns: 1 for 90°, 2 for 180°, -1 for 90°
+     * counterclockwise. Lossless.
+     */
+    rotateDocument(turns = 1) {
+      this._pushGeometryChange(`Rotate Canvas ${turns * 90}°`, () => this.layers.rotateCanvas(turns));
+    }
+
+    /**
+     * Run a change to the document size and record it as one undo step. Every layer's
+     * canvases are replaced, so the old ones are kept as they are and the new ones copied.
+     */
+    _pushGeometryChange(label, change) {
+      assert(!this._transformLayer, "Finish the free transform first");
+      const capture = (copy) => {
+        const layers = new Map();
+        for (const l of this.layers.layers) {
+          const snap = (canvas) => {
+            if (!canvas) return null;
+            return new PixelSnapshot(copy ? this._toCanvas(canvas) : canvas);
+          };
+          layers.set(l, { color: snap(l.canvas), depth: snap(l.depthCanvas), mask: snap(l.maskCanvas) });
+        }
+        return { width: this.layers.width, height: this.layers.height, layers };
+      };
+      const before = capture(false);
+      change();
+      const after = capture(true);
+      const pixels = (state) => [...state.layers.values()].flatMap((s) => [s.color, s.depth, s.mask].filter(Boolean));
+      // The change has been made; the command only restores states when undone and redone
+      let applied = true;
+      this.history.push(
+        new Command(
+          () => {
+            if (applied) this._showGeometry(after);
+            else this._restoreGeometry(after);
+            applied = false;
+          },
+          () => this._restoreGeometry(before),
+          label,
+          [...pixels(before), ...pixels(after)]
+        )
+      );
+    }
+
+    _restoreGeometry(state) {
+      for (const [layer, snapshots] of state.layers) {
+        // Each canvas is put back exactly as stored, including what the mask hid
+        layer.rebuildCanvases(state.width, state.height, (ctx, old, kind) => ctx.drawImage(snapshots[kind].toCanvas(), 0, 0), {
+          revealExposed: false,
+        });
+      }
+      this._showGeometry(state);
+    }
+
+    // Size the document and view to state and redraw
+    _showGeometry(state) {
+      this.layers._setSize(state.width, state.height);
+      this.canvas.width = this.width = state.width;
+      this.canvas.height = this.height = state.height;
+      this.render();
+    }
+
+    _snapshotLayer(index) {
+      const l = this.layers.layers[index];
+      const rect = { x: 0, y: 0, width: l.canvas.width, height: l.canvas.height };
+      return {
+        ...snapshotLayerRegion(l, rect),
+        index,
+        layer: l,
+        properties: l.getProperties(),
+      };
+    }
+
+    _restoreLayerSnapshot(index, snapshot) {
+      // Restore into the original Layer object so stroke commands that reference it stay valid
+      const l = snapshot.layer;
+      if (this.layers.layers.indexOf(l) === -1) {
+        this.layers.layers.splice(index, 0, l);
+      }
+      Object.assign(l, snapshot.properties, { meta: deepClone(snapshot.properties.meta) });
+      restoreLayerRegion(l, snapshot);
+      this.layers.setActiveLayer(index);
+    }
+
+    /**
+     * Add a mask to the active layer, filled white (reveal all) or black (hide all).
+     */
+    addLayerMask(fill = "white") {
+      const layer = this.layers.getActiveLayer();
+      if (!layer || layer.maskCanvas) return;
+      const mask = createMaskCanvas(layer.canvas.width, layer.canvas.height, fill);
+      const cmd = new Command(
+        () => layer.setMask(mask),
+        () => layer.setMask(null),
+        `Add Layer Mask`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    setLayerMaskEnabled(enabled) {
+      const layer = this.layers.getActiveLayer();
+      if (!layer || !layer.maskCanvas) return;
+      const previous = layer.maskEnabled;
+      const cmd = new Command(
+        () => (layer.maskEnabled = !!enabled),
+        () => (layer.maskEnabled = previous),
+        enabled ? `Enable Layer Mask` : `Disable Layer Mask`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    invertLayerMask() {
+      const layer = this.layers.getActiveLayer();
+      if (!layer || !layer.maskCanvas) return;
+      const cmd = new Command(
+        () => layer.invertMask(),
+        () => layer.invertMask(),
+        `Invert Layer Mask`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    /**
+     * Bake the active layer's mask into its color and depth alpha, then drop the mask.
+     */
+    applyLayerMask() {
+      const layer = this.layers.getActiveLayer();
+      if (!layer || !layer.maskCanvas) return;
+      const index = this.layers.activeLayerIndex;
+      const snapshot = this._snapshotLayer(index);
+      const mask = layer.maskCanvas;
+      const enabled = layer.maskEnabled;
+      const cmd = new Command(
+        () => {
+          const alpha = layer.getMaskAlpha();
+          for (const ctx of [layer.ctx, layer.depthCtx]) {
+            ctx.save();
+            ctx.globalCompositeOperation = "destination-in";
+            ctx.drawImage(alpha, 0, 0);
+            ctx.restore();
+          }
+          layer.invalidateShading();
+          layer.setMask(null);
+        },
+        () => {
+          this._restoreLayerSnapshot(index, snapshot);
+          layer.setMask(mask);
+          layer.maskEnabled = enabled;
+        },
+        `Apply Layer Mask`,
+        snapshotPixels(snapshot)
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    deleteLayerMask() {
+      const layer = this.layers.getActiveLayer();
+      if (!layer || !layer.maskCanvas) return;
+      const mask = layer.maskCanvas;
+      const cmd = new Command(
+        () => layer.setMask(null),
+        () => layer.setMask(mask),
+        `Delete Layer Mask`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    /**
+     * Paint strokes into the active layer's "color" (default) or its "mask".
+     */
+    setPaintTarget(target) {
+      this.brushEngine.setPaintTarget(target);
+    }
+
+    setActiveLayer(index) {
+      const previous = this.layers.activeLayerIndex;
+      const cmd = new Command(
+        () => this.layers.setActiveLayer(index),
+        () => this.layers.setActiveLayer(previous),
+        `Set Active Layer: ${index}`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    toggleLayerVisibility(index, visible = null) {
+      const l = this.layers.layers[index];
+      const prev = l.visible;
+      const next = visible == null ? !prev : !!visible;
+      const cmd = new Command(
+        () => (l.visible = next),
+        () => (l.visible = prev),
+        `Toggle Visibility: Layer ${index}`
+      );
+      this.history.push(cmd);
+      this.render();
+    }
+
+    /**
+     * Append a layer style (see LAYER_STYLE_DEFAULTS) to a layer. Returns its index in layer.styles.
+     */
+    addLayerStyle(index, type, settings = {}) {
+      const l = this.layers.layers[index];
+      this._setLayerStyles(l, [...l.styles, normalizeLayerStyle({ ...settings, type })], `Add Style: ${type}`);
+      return l.styles.length - 1;
+    }
+
+    /**
+     * Change settings of one style, e.g. updateLayerStyle(1, 0, { size: 10, enabled: false }).
+     */
+    updateLayerStyle(index, styleIndex, settings) {
+      const l = this.layers.layers[index];
+      const styles = l.styles.slice();
+      assert(styles[styleIndex], `Layer ${index} has no style ${styleIndex}`);
+      styles[styleIndex] = normalizeLayerStyle({ ...styles[styleIndex], ...settings, type: styles[styleIndex].type });
+      this._setLayerStyles(l, styles, `Edit Style: ${styles[styleIndex].type}`);
+    }
+
+    removeLayerStyle(index, styleIndex) {
+      const l = this.layers.layers[index];
+      assert(l.styles[styleIndex], `Layer ${index} has no style ${styleIndex}`);
+      const styles = l.styles.filter((_, i) => i !== styleIndex);
+      this._setLayerStyles(l, styles, `Remove Style: ${l.styles[styleIndex].type}`);
+    }
+
+    _setLayerStyles(layer, styles, label) {
+      const previous = layer.styles;
+      const cmd = new Command(
+        () => (layer.styles = styles),
+        () => (layer.styles = previous),
+        label
       );
       this.history.push(cmd);
       this.render();
     }
 
-    addLayer(name = "New Layer") {
-      const layer = this.layers.addLayer({ name, visible: true });
-      const index = this.layers.layers.length - 1;
+    /**
+     * Clip a layer to the layer below it (or release it). Toggles when clipped is omitted.
+     */
+    toggleLayerClipping(index, clipped = null) {
+      this._toggleLayerFlag(index, "clipped", clipped, "Clipping");
+    }
+
+    /**
+     * Lock a layer against strokes and fills (or unlock it). Toggles when locked is omitted.
+     */
+    toggleLayerLock(index, locked = null) {
+      this._toggleLayerFlag(index, "locked", locked, "Lock");
+    }
+
+    /**
+     * Alpha lock: strokes and fills only recolor pixels that already have coverage.
+     */
+    toggleAlphaLock(index, locked = null) {
+      this._toggleLayerFlag(index, "alphaLocked", locked, "Alpha Lock");
+    }
+
+    _toggleLayerFlag(index, key, value, label) {
+      const l = this.layers.layers[index];
+      const prev = l[key];
+      const next = value == null ? !prev : !!value;
       const cmd = new Command(
-        () => this.layers.setActiveLayer(index),
-        () => {
-          this.layers.removeLayer(index);
-          this.layers.setActiveLayer(this.layers.layers.length - 1);
-        },
-        `Add Layer: ${name}`
+        () => (l[key] = next),
+        () => (l[key] = prev),
+        `Toggle ${label}: Layer ${index}`
       );
       this.history.push(cmd);
       this.render();
-      return layer;
     }
 
-    removeActiveLayer() {
-      const index = this.layers.activeLayerIndex;
-      if (index < 0) return;
-      const layerSnapshot = this._snapshotLayer(index);
+    /**
+     * Flood-fill the active layer with the current color, starting at (x, y). Follows the
+     * paint target: with setPaintTarget("mask") the layer's mask is filled with the gray
+     * level of the current color instead. Options:
+     * - tolerance: largest per-channel difference from the start pixel (0-255, default 32)
+     * - contiguous: fill only the connected area (default true)
+     * - sampleReference: find the area on the visible reference layers instead of the active layer
+     * Locked and reference layers refuse fills; on alpha-locked layers only covered pixels change.
+     * Returns the filled rectangle, or null if (x, y) is outside the document.
+     */
+    fill(x, y, options = {}) {
+      const layer = this.layers.getActiveLayer();
+      assert(layer, "No active layer to fill");
+      const isMask = this.brushEngine.paintTarget === "mask";
+      assert(!isMask || layer.maskCanvas, "The active layer has no mask to fill");
+      assert(isMask || !layer.isAdjustment, "Adjustment layers can only be filled in their mask");
+      this.brushEngine.assertEditable(layer, "fill");
+      const { width, height } = layer.canvas;
+      const target = isMask ? layer.maskCanvas : layer.canvas;
+      const source = (options.sampleReference && renderReferenceLayers(this.layers)) || target;
+      const region = selectSimilarPixels(
+        source.getContext("2d").getImageData(0, 0, width, height),
+        x,
+        y,
+        options.tolerance ?? 32,
+        options.contiguous ?? true
+      );
+      if (!region) return null;
+
+      const { selection, bounds } = region;
+      const color = this.brushEngine.currentColor;
+      const c = isMask ? this.palette.toMaskGray(color) : this.palette.normalizeColor(color);
+      const alpha = Math.round((c.a == null ? 1 : c.a) * 255);
+      const pixels = new Uint8ClampedArray(bounds.width * bounds.height * 4);
+      for (let row = 0; row < bounds.height; row++) {
+        for (let col = 0; col < bounds.width; col++) {
+          if (!selection[(bounds.y + row) * width + bounds.x + col]) continue;
+          const i = (row * bounds.width + col) * 4;
+          pixels[i] = c.r;
+          pixels[i + 1] = c.g;
+          pixels[i + 2] = c.b;
+          pixels[i + 3] = alpha;
+        }
+      }
+      const fillCanvas = createOffscreenCanvas(bounds.width, bounds.height);
+      fillCanvas.getContext("2d").putImageData(createImageData(pixels, bounds.width, bounds.height), 0, 0);
+
+      const snapshot = () => (isMask ? snapshotMaskRegion(layer, bounds) : snapshotLayerRegion(layer, bounds));
+      const before = snapshot();
+      if (isMask) {
+        compositeCanvas(fillCanvas, layer.maskCtx, bounds.x, bounds.y, "source-over", 1);
+        layer.invalidateMask(bounds);
+      } else {
+        compositeCanvas(fillCanvas, layer.ctx, bounds.x, bounds.y, layer.alphaLocked ? "source-atop" : "source-over", 1);
+      }
+      const after = snapshot();
       const cmd = new Command(
-        () => this.layers.removeLayer(index),
-        () => this._restoreLayerSnapshot(index, layerSnapshot),
-        `Remove Layer`
+        () => restoreLayerRegion(layer, after),
+        () => restoreLayerRegion(layer, before),
+        `Fill`,
+        snapshotPixels(before, after)
       );
       this.history.push(cmd);
       this.render();
+      return bounds;
     }
 
-    _snapshotLayer(index) {
-      const l = this.layers.layers[index];
-      const c = createOffscreenCanvas(l.canvas.width, l.canvas.height);
-      const dc = createOffscreenCanvas(l.depthCanvas.width, l.depthCanvas.height);
-      c.getContext("2d").drawImage(l.canvas, 0, 0);
-      dc.getContext("2d").drawImage(l.depthCanvas, 0, 0);
-      return {
-        index,
-        properties: {
-          name: l.name,
-          visible: l.visible,
-          opacity: l.opacity,
-          blendMode: l.blendMode,
-          locked: l.locked,
-          isReference: l.isReference,
-          meta: deepClone(l.meta),
-        },
-        canvas: c,
-        depthCanvas: dc,
-      };
+    getGroups() {
+      return this.layers.getGroups();
     }
 
-    _restoreLayerSnapshot(index, snapshot) {
-      const l = new Layer(this.width, this.height, snapshot.properties);
-      l.ctx.drawImage(snapshot.canvas, 0, 0);
-      l.depthCtx.drawImage(snapshot.depthCanvas, 0, 0);
-      this.layers.insertLayer(index, snapshot.properties);
-      this.layers.layers[index] = l;
+    /**
+     * Group layers[fromIndex..toIndex] (inclusive). Returns the new LayerGroup.
+     */
+    groupLayers(fromIndex, toIndex, options = {}) {
+      return this._pushStructureChange("Group Layers", () => this.layers.groupLayers(fromIndex, toIndex, options));
     }
 
-    setActiveLayer(index) {
-      const previous = this.layers.activeLayerIndex;
+    ungroup(group) {
+      this._pushStructureChange(`Ungroup: ${group.name}`, () => this.layers.ungroup(group));
+    }
+
+    moveGroup(group, toIndex, parent = undefined) {
+      this._pushStructureChange(`Move Group: ${group.name}`, () => this.layers.moveGroup(group, toIndex, parent));
+    }
+
+    /**
+     * Delete a group together with all the layers inside it.
+     */
+    removeGroup(group) {
+      this._pushStructureChange(`Remove Group: ${group.name}`, () => this.layers.removeGroup(group));
+    }
+
+    /**
+     * Change any of name, visible, opacity, blendMode (including "pass-through") and meta.
+     */
+    setGroupProperties(group, properties) {
+      const previous = group.getProperties();
+      const next = { ...previous, ...properties };
+      next.opacity = clamp(next.opacity, 0, 1);
       const cmd = new Command(
-        () => this.layers.setActiveLayer(index),
-        () => this.layers.setActiveLayer(previous),
-        `Set Active Layer: ${index}`
+        () => Object.assign(group, next),
+        () => Object.assign(group, previous),
+        `Group Properties: ${group.name}`
       );
       this.history.push(cmd);
       this.render();
     }
 
-    toggleLayerVisibility(index, visible = null) {
-      const l = this.layers.layers[index];
-      const prev = l.visible;
-      const next = visible == null ? !prev : !!visible;
-      const cmd = new Command(
-        () => (l.visible = next),
-        () => (l.visible = prev),
-        `Toggle Visibility: Layer ${index}`
+    toggleGroupVisibility(group, visible = null) {
+      this.setGroupProperties(group, { visible: visible == null ? !group.visible : !!visible });
+    }
+
+    /**
+     * Run a change to the stack order or grouping and record it as one undo step that swaps
+     * between the before and after structure. Layer pixels are not copied: removed layers stay
+     * referenced by the command.
+     */
+    _pushStructureChange(label, change) {
+      const before = this._captureStructure();
+      const result = change();
+      const after = this._captureStructure();
+      this.history.push(
+        new Command(
+          () => this._restoreStructure(after),
+          () => this._restoreStructure(before),
+          label
+        )
       );
-      this.history.push(cmd);
       this.render();
+      return result;
+    }
+
+    _captureStructure() {
+      const parents = new Map();
+      for (const item of [...this.layers.layers, ...this.layers.getGroups()]) parents.set(item, item.parent);
+      return { layers: this.layers.layers.slice(), parents, active: this.layers.getActiveLayer() };
+    }
+
+    _restoreStructure(state) {
+      this.layers.layers.splice(0, this.layers.layers.length, ...state.layers);
+      for (const [item, parent] of state.parents) item.parent = parent;
+      this.layers.activeLayerIndex = this.layers.layers.indexOf(state.active);
     }
 
     clearActiveLayer() {
       const index = this.layers.activeLayerIndex;
       if (index < 0) return;
+      this.brushEngine.assertEditable(this.layers.layers[index], "clear");
       const snapshot = this._snapshotLayer(index);
       const cmd = new Command(
         () => this.layers.layers[index].clear(),
         () => this._restoreLayerSnapshot(index, snapshot),
-        `Clear Layer ${index}`
+        `Clear Layer ${index}`,
+        snapshotPixels(snapshot)
       );
       this.history.push(cmd);
       this.render();
@@ -1605,6 +6282,78 @@
       this.render();
     }
 
+    /**
+     * Run fn(painter) as a single undo step. If fn throws, everything it did is rolled back
+     * and the error is rethrown. fn must be synchronous: while a group is open every change
+     * is folded into it, so an awaiting fn would swallow whatever the user did meanwhile.
+     * A promise returned by fn is refused after rolling back what had run.
+     */
+    batch(label, fn) {
+      assert(fn.constructor.name !== "AsyncFunction", "batch() needs a synchronous function");
+      this.history.beginGroup(label);
+      let result;
+      try {
+        result = fn(this);
+      } catch (err) {
+        this._rollbackBatch();
+        throw err;
+      }
+      const pending = result && typeof result.then === "function";
+      if (pending) this._rollbackBatch();
+      assert(!pending, "batch() needs a synchronous function; the batch was rolled back");
+      this._finishBatch();
+      return result;
+    }
+
+    _finishBatch() {
+      this.history.endGroup();
+      this.render();
+    }
+
+    _rollbackBatch() {
+      this.history.cancelGroup();
+      this.render();
+    }
+
+    /**
+     * Start capturing stroke input. See StrokeRecorder.
+     */
+    startRecording() {
+      this.recorder.start(this.layers.width, this.layers.height);
+    }
+
+    /**
+     * Stop capturing and return the recording (a JSON-safe object).
+     */
+    stopRecording() {
+      return this.recorder.stop();
+    }
+
+    /**
+     * Replay a recording into this painter. See replayRecording for options.
+     */
+    replay(recording, options = {}) {
+      return replayRecording(this, recording, options);
+    }
+
+    getHistoryTree() {
+      return this.history.getTree();
+    }
+
+    jumpToHistoryState(nodeId) {
+      const moved = this.history.jumpTo(nodeId);
+      if (moved) this.render();
+      return moved;
+    }
+
+    nameHistoryState(name, nodeId) {
+      return this.history.nameState(name, nodeId);
+    }
+
+    getHistoryMemoryUsage() {
+      return this.history.getMemoryUsage();
+    }
+
     exportComposite(type = "image/png", quality = 0.92) {
       // Composite to internal canvas first
       this.layers.compositeTo(this.ctx);
@@ -1612,17 +6361,452 @@
     }
 
     exportLayer(index, type = "image/png", quality = 0.92) {
+      return this._renderLayerForExport(index).toDataURL(type, quality);
+    }
+
+    /**
+     * Like exportComposite, but encodes through the canvas backend and resolves with a Blob.
+     * Works where canvases have no toDataURL (OffscreenCanvas, Node.js backends).
+     */
+    async exportCompositeBlob(type = "image/png", quality = 0.92) {
+      const tmp = createOffscreenCanvas(this.layers.width, this.layers.height);
+      this.layers.compositeTo(tmp.getContext("2d"));
+      return new Blob([await getCanvasBackend().encode(tmp, type, quality)], { type });
+    }
+
+    /**
+     * Like exportLayer, but encodes through the canvas backend and resolves with a Blob.
+     */
+    async exportLayerBlob(index, type = "image/png", quality = 0.92) {
+      const tmp = this._renderLayerForExport(index);
+      return new Blob([await getCanvasBackend().encode(tmp, type, quality)], { type });
+    }
+
+    /**
+     * Export the painted relief as a PNG Blob for game engines: "height", "normal" or "shade"
+     * (see RELIEF_MAP_TYPES and RELIEF_MAP_DEFAULTS for the other options). With layer set to
+     * an index only that layer's heights are used, its mask applied; otherwise the visible
+     * layers' heights are composited bottom to top, masked and at their opacity (as mergeDown
+     * merges the depth of unclipped layers).
+     */
+    async exportReliefMap(type, options = {}) {
+      const { layer = null, ...settings } = options;
+      const heights = layer === null ? this._mergedHeights() : this._layerHeights(layer);
+      const map = renderReliefMap(heights, type, settings);
+      return new Blob([await getCanvasBackend().encode(map, "image/png")], { type: "image/png" });
+    }
+
+    _layerHeights(index) {
+      const l = this.layers.layers[index];
+      assert(l && !l.isAdjustment, `Layer ${index} has no relief`);
+      return this._bakeMask(l, l.depthCanvas);
+    }
+
+    _mergedHeights() {
+      const { width, height } = this.layers;
+      const merged = createOffscreenCanvas(width, height);
+      const scratch = createOffscreenCanvas(width, height);
+      for (const l of this.layers.layers) {
+        if (l.isAdjustment || !this.layers.isLayerVisible(l)) continue;
+        const opacity = groupAncestors(l).reduce((o, g) => o * g.opacity, l.opacity);
+        compositeCanvas(l.renderMasked(l.depthCanvas, scratch), merged.getContext("2d"), 0, 0, "source-over", opacity);
+      }
+      return merged;
+    }
+
+    _renderLayerForExport(index) {
       const l = this.layers.layers[index];
       const tmp = createOffscreenCanvas(l.canvas.width, l.canvas.height);
-      const tctx = tmp.getContext("2d");
-      compositeCanvas(l.depthCanvas, tctx, 0, 0, "multiply", l.opacity);
-      compositeCanvas(l.canvas, tctx, 0, 0, l.blendMode, l.opacity);
-      return tmp.toDataURL(type, quality);
+      this.layers.drawLayer(tmp.getContext("2d"), l);
+      return tmp;
+    }
+
+    /**
+     * Save the full document as a project archive: a ZIP holding manifest.json plus PNGs of
+     * every layer's color and depth canvases and of the active brush's image sources.
+     */
+    async saveProject() {
+      const encoder = new TextEncoder();
+      const files = [];
+      const brush = this.brushEngine.activeBrush;
+
+      const manifest = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_FORMAT_VERSION,
+        width: this.layers.width,
+        height: this.layers.height,
+        backgroundColor: this.layers.backgroundColor,
+        light: this.layers.light,
+        activeLayerIndex: this.layers.activeLayerIndex,
+        palette: { custom: this.palette.custom.map((c) => ({ ...c })) },
+        color: this.brushEngine.currentColor,
+        brush: { type: brushTypeOf(brush), settings: brush.getSettings() },
+        groups: this.layers.getGroups().map((g) => ({
+          id: g.id,
+          parentId: g.parent ? g.parent.id : null,
+          properties: g.getProperties(),
+        })),
+        layers: [],
+      };
+
+      for (let i = 0; i < this.layers.layers.length; i++) {
+        const l = this.layers.layers[i];
+        const entry = {
+          id: l.id,
+          parentId: l.parent ? l.parent.id : null,
+          properties: l.getProperties(),
+          canvas: `layers/${i}/color.png`,
+          depthCanvas: `layers/${i}/depth.png`,
+        };
+        files.push({ name: entry.canvas, data: await canvasToPNGBytes(l.canvas) });
+        files.push({ name: entry.depthCanvas, data: await canvasToPNGBytes(l.depthCanvas) });
+        if (l.maskCanvas) {
+          entry.maskCanvas = `layers/${i}/mask.png`;
+          files.push({ name: entry.maskCanvas, data: await canvasToPNGBytes(l.maskCanvas) });
+        }
+        manifest.layers.push(entry);
+      }
+
+      if (brush.texture) {
+        manifest.brush.texture = "brush/texture.png";
+        files.push({ name: manifest.brush.texture, data: await canvasToPNGBytes(this._toCanvas(brush.texture)) });
+      }
+      if (brush.decals && brush.decals.length) {
+        manifest.brush.decals = [];
+        for (let i = 0; i < brush.decals.length; i++) {
+          const name = `brush/decals/${i}.png`;
+          manifest.brush.decals.push(name);
+          files.push({ name, data: await canvasToPNGBytes(this._toCanvas(brush.decals[i])) });
+        }
+      }
+
+      files.unshift({ name: "manifest.json", data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+      return new Blob([writeZip(files)], { type: PROJECT_MIME_TYPE });
+    }
+
+    /**
+     * Replace the document with a project archive written by saveProject().
+     * Accepts a Blob, ArrayBuffer or Uint8Array. Loading clears the undo history.
+     * Relief baked into the depth canvases of projects older than version 3 is turned back
+     * into heights (see migrateBakedRelief).
+     */
+    async loadProject(source) {
+      const files = await readZip(await toBytes(source));
+      const manifestBytes = files.get("manifest.json");
+      assert(manifestBytes, "Project archive has no manifest.json");
+      const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+      assert(manifest.format === PROJECT_FORMAT, "Not a PaintMasterJS project");
+      assert(manifest.version <= PROJECT_FORMAT_VERSION, `Unsupported project version ${manifest.version}`);
+
+      const { width, height } = manifest;
+      const readImage = async (name) => {
+        const bytes = files.get(name);
+        assert(bytes, `Project archive is missing ${name}`);
+        return decodeImageBytes(bytes);
+      };
+
+      // Groups are listed outer first, so a parent always exists before its children
+      const groups = new Map();
+      for (const entry of manifest.groups || []) {
+        groups.set(entry.id, new LayerGroup({ ...entry.properties, id: entry.id, parent: groups.get(entry.parentId) }));
+      }
+
+      // Decode everything before touching the document, so a broken archive leaves it intact
+      const layers = [];
+      for (const entry of manifest.layers) {
+        const parent = groups.get(entry.parentId);
+        const LayerClass = entry.properties.adjustment ? AdjustmentLayer : Layer;
+        const layer = new LayerClass(width, height, { ...entry.properties, id: entry.id, parent });
+        layer.ctx.drawImage(await readImage(entry.canvas), 0, 0);
+        layer.depthCtx.drawImage(await readImage(entry.depthCanvas), 0, 0);
+        if (manifest.version < 3) migrateBakedRelief(layer.depthCanvas);
+        if (entry.maskCanvas) {
+          layer.addMask("black");
+          layer.maskCtx.drawImage(await readImage(entry.maskCanvas), 0, 0);
+          layer.invalidateMask();
+        }
+        layers.push(layer);
+      }
+      const brushOptions = { ...manifest.brush.settings };
+      if (manifest.brush.texture) brushOptions.texture = await readImage(manifest.brush.texture);
+      if (manifest.brush.decals) {
+        brushOptions.decals = [];
+        for (const name of manifest.brush.decals) brushOptions.decals.push(await readImage(name));
+      }
+
+      this._replaceDocument(width, height, layers, manifest.activeLayerIndex);
+      this.layers.backgroundColor = manifest.backgroundColor;
+      this.layers.light = normalizeLight(manifest.light);
+      this.palette.custom = manifest.palette.custom.map((c) => this.palette.normalizeColor(c));
+      this.setBrushByName(manifest.brush.type, brushOptions);
+      this.setColor(manifest.color);
+      this.render();
+    }
+
+    /**
+     * Export the document as OpenRaster (.ora), the layered interchange format read by Krita,
+     * MyPaint and GIMP. Non-empty depth canvases are written as a multiply layer directly below
+     * their color layer and tagged with a paintmaster:depth-of attribute so importORA can
+     * reattach them. Enabled layer masks are baked into the layer pixels; layer styles are kept
+     * as paintmaster:styles and not rendered. Adjustment layers are
+     * written as empty layers carrying their parameters, which only importORA understands.
+     */
+    async exportORA() {
+      const encoder = new TextEncoder();
+      const { width, height } = this.layers;
+      const files = [{ name: "mimetype", data: encoder.encode(ORA_MIME_TYPE) }];
+      const entries = [];
+      const open = [];
+      const indent = () => "  ".repeat(open.length + 2);
+      const closeStack = () => {
+        open.pop();
+        entries.push(`${indent()}</stack>`);
+      };
+
+      // stack.xml lists layers top to bottom; groups become nested stacks
+      for (let i = this.layers.layers.length - 1; i >= 0; i--) {
+        const l = this.layers.layers[i];
+        const chain = groupAncestors(l).reverse();
+        let shared = 0;
+        while (shared < open.length && open[shared] === chain[shared]) shared++;
+        while (open.length > shared) closeStack();
+        for (const g of chain.slice(shared)) {
+          const passThrough = g.blendMode === PASS_THROUGH;
+          entries.push(
+            `${indent()}<stack name="${escapeXML(g.name)}" opacity="${g.opacity.toFixed(3)}"` +
+              ` visibility="${g.visible ? "visible" : "hidden"}"` +
+              ` composite-op="${passThrough ? "svg:src-over" : blendModeToORA(g.blendMode)}"` +
+              ` isolation="${passThrough ? "auto" : "isolate"}"` +
+              ` paintmaster:id="${escapeXML(g.id)}" paintmaster:meta="${escapeXML(JSON.stringify(g.meta))}">`
+          );
+          open.push(g);
+        }
+        const common =
+          `x="0" y="0" opacity="${l.opacity.toFixed(3)}" visibility="${l.visible ? "visible" : "hidden"}"`;
+        const src = `data/layer${i}.png`;
+        files.push({ name: src, data: await canvasToPNGBytes(this._bakeMask(l, l.canvas)) });
+        entries.push(
+          `${indent()}<layer name="${escapeXML(l.name)}" src="${src}" composite-op="${blendModeToORA(l.blendMode)}" ${common}` +
+            (l.locked ? ` edit-locked="true"` : "") +
+            (l.alphaLocked ? ` alpha-preserve="true"` : "") +
+            (i === this.layers.activeLayerIndex ? ` selected="true"` : "") +
+            ` paintmaster:id="${escapeXML(l.id)}" paintmaster:reference="${l.isReference}"` +
+            (l.clipped ? ` paintmaster:clipped="true"` : "") +
+            (l.styles.length ? ` paintmaster:styles="${escapeXML(JSON.stringify(l.styles))}"` : "") +
+            (l.isAdjustment ? ` paintmaster:adjustment="${escapeXML(JSON.stringify(l.adjustment))}"` : "") +
+            ` paintmaster:meta="${escapeXML(JSON.stringify(l.meta))}"/>`
+        );
+        if (!isCanvasEmpty(l.depthCanvas)) {
+          const depthSrc = `data/layer${i}-depth.png`;
+          files.push({ name: depthSrc, data: await canvasToPNGBytes(this._bakeMask(l, l.depthCanvas)) });
+          entries.push(
+            `${indent()}<layer name="${escapeXML(`${l.name} (depth)`)}" src="${depthSrc}" composite-op="svg:multiply" ${common}` +
+              ` paintmaster:depth-of="${escapeXML(l.id)}"/>`
+          );
+        }
+      }
+      while (open.length) closeStack();
+
+      const stackXML =
+        `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<image version="0.0.5" w="${width}" h="${height}" xmlns:paintmaster="${ORA_NAMESPACE}">\n` +
+        `  <stack>\n${entries.map((e) => `${e}\n`).join("")}  </stack>\n</image>\n`;
+      files.splice(1, 0, { name: "stack.xml", data: encoder.encode(stackXML) });
+
+      const merged = createOffscreenCanvas(width, height);
+      this.layers.compositeTo(merged.getContext("2d"));
+      files.push({ name: "mergedimage.png", data: await canvasToPNGBytes(merged) });
+
+      const scale = Math.min(1, 256 / Math.max(width, height));
+      const thumb = createOffscreenCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+      thumb.getContext("2d").drawImage(merged, 0, 0, thumb.width, thumb.height);
+      files.push({ name: "Thumbnails/thumbnail.png", data: await canvasToPNGBytes(thumb) });
+
+      return new Blob([writeZip(files)], { type: ORA_MIME_TYPE });
+    }
+
+    /**
+     * Replace the document with an OpenRaster file. Nested stacks become layer groups; a stack
+     * with isolation="auto" is imported as a pass-through group. Clears the undo history.
+     */
+    async importORA(source) {
+      const files = await readZip(await toBytes(source));
+      const stackBytes = files.get("stack.xml");
+      assert(stackBytes, "OpenRaster file has no stack.xml");
+      const { image, layers: entries } = parseORAStack(new TextDecoder().decode(stackBytes));
+      const width = parseInt(image.w, 10);
+      const height = parseInt(image.h, 10);
+      assert(width > 0 && height > 0, "OpenRaster image has invalid dimensions");
+
+      const readImage = async (name) => {
+        const bytes = files.get(name);
+        assert(bytes, `OpenRaster file is missing ${name}`);
+        return decodeImageBytes(bytes);
+      };
+
+      const groups = new Map();
+      const groupFor = (stack) => {
+        if (!stack) return null;
+        if (!groups.has(stack)) {
+          groups.set(
+            stack,
+            new LayerGroup({
+              id: stack["paintmaster:id"] || undefined,
+              name: stack.name || `Group ${groups.size + 1}`,
+              visible: stack.visible,
+              opacity: stack.opacity,
+              blendMode: stack.isolation === "auto" ? PASS_THROUGH : blendModeFromORA(stack["composite-op"]),
+              meta: stack["paintmaster:meta"] ? JSON.parse(stack["paintmaster:meta"]) : {},
+              parent: groupFor(stack.parent),
+            })
+          );
+        }
+        return groups.get(stack);
+      };
+
+      const layers = [];
+      const depthEntries = [];
+      let activeIndex = -1;
+      // Entries are top to bottom; the layer stack is bottom to top
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const e = entries[i];
+        if (!e.src) continue;
+        if (e["paintmaster:depth-of"]) {
+          depthEntries.push(e);
+          continue;
+        }
+        const adjustment = e["paintmaster:adjustment"] ? JSON.parse(e["paintmaster:adjustment"]) : null;
+        const layer = new (adjustment ? AdjustmentLayer : Layer)(width, height, {
+          id: e["paintmaster:id"] || undefined,
+          parent: groupFor(e.stack),
+          adjustment,
+          name: e.name || `Layer ${layers.length + 1}`,
+          visible: e.visible,
+          opacity: e.opacity,
+          blendMode: blendModeFromORA(e["composite-op"]),
+          locked: e["edit-locked"] === "true",
+          alphaLocked: e["alpha-preserve"] === "true",
+          isReference: e["paintmaster:reference"] === "true",
+          clipped: e["paintmaster:clipped"] === "true",
+          styles: e["paintmaster:styles"] ? JSON.parse(e["paintmaster:styles"]) : [],
+          meta: e["paintmaster:meta"] ? JSON.parse(e["paintmaster:meta"]) : {},
+        });
+        layer.ctx.drawImage(await readImage(e.src), parseInt(e.x || 0, 10), parseInt(e.y || 0, 10));
+        if (e.selected === "true") activeIndex = layers.length;
+        layers.push(layer);
+      }
+
+      for (const e of depthEntries) {
+        const owner = layers.find((l) => l.id === e["paintmaster:depth-of"]);
+        assert(owner, `OpenRaster depth layer "${e.name}" has no matching color layer`);
+        owner.depthCtx.drawImage(await readImage(e.src), parseInt(e.x || 0, 10), parseInt(e.y || 0, 10));
+      }
+
+      this._replaceDocument(width, height, layers, activeIndex === -1 ? layers.length - 1 : activeIndex);
+      this.render();
+    }
+
+    /**
+     * Export a layered Photoshop document: one raster layer per Layer with its name, visibility,
+     * opacity and blend mode, groups as layer folders, plus the flattened composite as the merged preview.
+     * With includeDepth, each non-empty depth canvas becomes a multiply layer below its color layer.
+     * Enabled layer masks are baked into the layer pixels. Adjustment layers become empty layers
+     * and layer styles are dropped; only the merged preview shows their effect.
+     */
+    exportPSD(options = {}) {
+      const { width, height } = this.layers;
+      const includeDepth = options.includeDepth ?? false;
+      const entries = [];
+      const open = [];
+      const closeGroup = () => {
+        const g = open.pop();
+        entries.push({ section: "group", name: g.name, opacity: g.opacity, visible: g.visible, blendMode: g.blendMode });
+      };
+      for (const l of this.layers.layers) {
+        const chain = groupAncestors(l).reverse();
+        let common = 0;
+        while (common < open.length && open[common] === chain[common]) common++;
+        while (open.length > common) closeGroup();
+        for (const g of chain.slice(common)) {
+          entries.push({ section: "end" });
+          open.push(g);
+        }
+        if (includeDepth && !isCanvasEmpty(l.depthCanvas)) {
+          entries.push({
+            name: `${l.name} (depth)`,
+            canvas: this._bakeMask(l, l.getShading(this.layers.light).shade),
+            opacity: l.opacity,
+            visible: l.visible,
+            blendMode: "multiply",
+            clipped: l.clipped,
+          });
+        }
+        entries.push({
+          name: l.name,
+          canvas: this._bakeMask(l, l.canvas),
+          opacity: l.opacity,
+          visible: l.visible,
+          blendMode: l.blendMode,
+          clipped: l.clipped,
+        });
+      }
+      while (open.length) closeGroup();
+
+      const composite = createOffscreenCanvas(width, height);
+      this.layers.compositeTo(composite.getContext("2d"));
+      return new Blob([writePSD(width, height, entries, composite)], { type: PSD_MIME_TYPE });
+    }
+
+    /**
+     * Swap in a new set of layers (and document size). Not undoable, so history is cleared.
+     */
+    _replaceDocument(width, height, layers, activeLayerIndex) {
+      this.canvas.width = this.width = width;
+      this.canvas.height = this.height = height;
+      this.layers.layers = [];
+      this.layers.resize(width, height);
+      this.layers.layers = layers;
+      this.layers.activeLayerIndex = clamp(activeLayerIndex, -1, layers.length - 1);
+      this._transformLayer = null;
+      this.history.clear();
+    }
+
+    /**
+     * source (a layer's canvas or depthCanvas) with the layer's mask applied, for formats
+     * that get the masked pixels rather than the mask itself.
+     */
+    _bakeMask(layer, source) {
+      if (!layer.hasActiveMask()) return source;
+      return layer.renderMasked(source, createOffscreenCanvas(source.width, source.height));
+    }
+
+    _toCanvas(source) {
+      const canvas = createOffscreenCanvas(source.width, source.height);
+      canvas.getContext("2d").drawImage(source, 0, 0);
+      return canvas;
     }
 
-    render() {
+    /**
+     * Redraw what changed since the last render (see LayerManager.updateComposite()), or
+     * everything with { full: true }. Returns the redrawn rect, or null if nothing changed.
+     * Relief is relit by the relief workers when there are any; the painter renders again
+     * as their results arrive.
+     */
+    render({ full = false } = {}) {
       const { width, height } = this.canvas;
+      const view = `${width}x${height}:${this._gridEnabled}:${this._gridSize}`;
+      if (full) this.layers.invalidate();
+      let rect = this.layers.updateComposite({ deferRelief: true });
+      if (full || view !== this._renderedView) {
+        this._renderedView = view;
+        rect = { x: 0, y: 0, width, height };
+      }
+      if (!rect) return null;
+
       this.ctx.save();
+      this.ctx.beginPath();
+      this.ctx.rect(rect.x, rect.y, rect.width, rect.height);
+      this.ctx.clip();
       this.ctx.clearRect(0, 0, width, height);
 
       // Background fill
@@ -1635,8 +6819,9 @@
       }
 
       // Composite layers
-      this.layers.compositeTo(this.ctx);
+      this.ctx.drawImage(this.layers.compositeCanvas, 0, 0);
       this.ctx.restore();
+      return rect;
     }
 
     _drawGrid(size = 32, color = "#eee") {
@@ -1691,11 +6876,15 @@
       this.brushEngine.activeBrush.smudge = clamp(amount, 0, 1.0);
     }
     setBrushBlendMode(mode) {
-      this.brushEngine.activeBrush.blendMode = mode;
+      this.brushEngine.activeBrush.blendMode = assertBrushBlendMode(mode);
     }
     setBrushAirflow(flow) {
       this.brushEngine.activeBrush.airflow = clamp(flow, 0, 1.0);
     }
+    // See Brush.setDynamics(), e.g. setBrushDynamics("opacity", { input: "velocity", curve: [[0, 1], [1, 0.3]] })
+    setBrushDynamics(parameter, dynamic) {
+      this.brushEngine.activeBrush.setDynamics(parameter, dynamic);
+    }
     setSmoothing(mode = "catmull", resolution = 16) {
       this.brushEngine.setSmoothing(mode, resolution);
     }
@@ -1712,13 +6901,7 @@
     }
 
     async _loadImage(url) {
-      return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.crossOrigin = "anonymous";
-        img.onload = () => resolve(img);
-        img.onerror = reject;
-        img.src = url;
-      });
+      return getCanvasBackend().loadImage(url);
     }
   }
 
@@ -1735,6 +6918,7 @@
     const baseColor = options.baseColor || "#f7f4ea";
     const noiseIntensity = clamp(options.noiseIntensity ?? 0.08, 0, 1);
     const grainSize = clamp(options.grainSize ?? 1, 1, 4);
+    const random = options.random || Math.random;
 
     // Base fill
     ctx.fillStyle = baseColor;
@@ -1746,7 +6930,7 @@
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const idx = (y * width + x) * 4;
-        const noise = (Math.random() - 0.5) * 255 * noiseIntensity;
+        const noise = (random() - 0.5) * 255 * noiseIntensity;
         data[idx] = clamp(data[idx] + noise, 0, 255);
         data[idx + 1] = clamp(data[idx + 1] + noise, 0, 255);
         data[idx + 2] = clamp(data[idx + 2] + noise, 0, 255);
@@ -1778,7 +6962,8 @@
   // Blend Modes Helpers
   // =========================================================================================
 
-  const BLEND_MODES = [
+  // Modes canvas 2D composites natively (globalCompositeOperation values)
+  const CANVAS_BLEND_MODES = [
     "source-over",
     "destination-over",
     "multiply",
@@ -1798,6 +6983,162 @@
     "luminosity",
   ];
 
+  // Modes only the software blend engine provides; layers using them always blend in software
+  const SOFTWARE_BLEND_MODES = [
+    "linear-burn",
+    "linear-dodge",
+    "vivid-light",
+    "linear-light",
+    "pin-light",
+    "hard-mix",
+    "subtract",
+    "divide",
+  ];
+
+  const BLEND_MODES = [...CANVAS_BLEND_MODES, ...SOFTWARE_BLEND_MODES];
+
+  /**
+   * Return mode if brushes can stamp with it. Stamps are drawn with globalCompositeOperation,
+   * which would quietly fall back to source-over for SOFTWARE_BLEND_MODES, so those throw.
+   */
+  function assertBrushBlendMode(mode) {
+    assert(!SOFTWARE_BLEND_MODES.includes(mode), `Blend mode "${mode}" is only available to layers, not brushes`);
+    return mode;
+  }
+
+  const blendScreen = (b, s) => b + s - b * s;
+  const blendColorDodge = (b, s) => (b <= 0 ? 0 : s >= 1 ? 1 : Math.min(1, b / (1 - s)));
+  const blendColorBurn = (b, s) => (b >= 1 ? 1 : s <= 0 ? 0 : 1 - Math.min(1, (1 - b) / s));
+  const blendHardLight = (b, s) => (s <= 0.5 ? b * 2 * s : blendScreen(b, 2 * s - 1));
+  const blendSoftLight = (b, s) => {
+    if (s <= 0.5) return b - (1 - 2 * s) * b * (1 - b);
+    const d = b <= 0.25 ? ((16 * b - 12) * b + 4) * b : Math.sqrt(b);
+    return b + (2 * s - 1) * (d - b);
+  };
+
+  /**
+   * Per-channel blend functions B(Cb, Cs) of backdrop and source colors in [0, 1]. The canvas
+   * modes follow the W3C Compositing and Blending spec; the others:
+   * - linear-burn: max(0, Cb + Cs - 1)
+   * - linear-dodge (add): min(1, Cb + Cs)
+   * - vivid-light: color-burn(Cb, 2Cs) for Cs <= 0.5, else color-dodge(Cb, 2Cs - 1)
+   * - linear-light: clamp(Cb + 2Cs - 1)
+   * - pin-light: min(Cb, 2Cs) for Cs <= 0.5, else max(Cb, 2Cs - 1)
+   * - hard-mix: 1 where Cb + Cs >= 1, else 0
+   * - subtract: max(0, Cb - Cs)
+   * - divide: min(1, Cb / Cs), with 0 / 0 = 0 and Cb / 0 = 1
+   */
+  const SEPARABLE_BLEND_FUNCTIONS = {
+    "source-over": (b, s) => s,
+    multiply: (b, s) => b * s,
+    screen: blendScreen,
+    overlay: (b, s) => blendHardLight(s, b),
+    darken: (b, s) => Math.min(b, s),
+    lighten: (b, s) => Math.max(b, s),
+    "color-dodge": blendColorDodge,
+    "color-burn": blendColorBurn,
+    "hard-light": blendHardLight,
+    "soft-light": blendSoftLight,
+    difference: (b, s) => Math.abs(b - s),
+    exclusion: (b, s) => b + s - 2 * b * s,
+    "linear-burn": (b, s) => Math.max(0, b + s - 1),
+    "linear-dodge": (b, s) => Math.min(1, b + s),
+    "vivid-light": (b, s) => (s <= 0.5 ? blendColorBurn(b, 2 * s) : blendColorDodge(b, 2 * s - 1)),
+    "linear-light": (b, s) => clamp(b + 2 * s - 1, 0, 1),
+    "pin-light": (b, s) => (s <= 0.5 ? Math.min(b, 2 * s) : Math.max(b, 2 * s - 1)),
+    // Compared in 8-bit steps so rounding can't tip exact sums of 1
+    "hard-mix": (b, s) => (Math.round((b + s) * 255) >= 255 ? 1 : 0),
+    subtract: (b, s) => Math.max(0, b - s),
+    divide: (b, s) => (s <= 0 ? (b <= 0 ? 0 : 1) : Math.min(1, b / s)),
+  };
+
+  const blendLum = (c) => 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+  const blendSat = (c) => Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+
+  function blendClipColor(c) {
+    const l = blendLum(c);
+    const n = Math.min(c[0], c[1], c[2]);
+    const x = Math.max(c[0], c[1], c[2]);
+    if (n < 0) c = c.map((v) => l + ((v - l) * l) / (l - n));
+    if (x > 1) c = c.map((v) => l + ((v - l) * (1 - l)) / (x - l));
+    return c;
+  }
+
+  function blendSetLum(c, l) {
+    const d = l - blendLum(c);
+    return blendClipColor([c[0] + d, c[1] + d, c[2] + d]);
+  }
+
+  function blendSetSat(c, s) {
+    const max = Math.max(c[0], c[1], c[2]);
+    const min = Math.min(c[0], c[1], c[2]);
+    if (max === min) return [0, 0, 0];
+    return c.map((v) => ((v - min) * s) / (max - min));
+  }
+
+  /**
+   * Whole-color blend functions B(Cb, Cs) on [r, g, b] arrays, as in the W3C spec.
+   */
+  const NON_SEPARABLE_BLEND_FUNCTIONS = {
+    hue: (b, s) => blendSetLum(blendSetSat(s, blendSat(b)), blendLum(b)),
+    saturation: (b, s) => blendSetLum(blendSetSat(b, blendSat(s)), blendLum(b)),
+    color: (b, s) => blendSetLum(s, blendLum(b)),
+    luminosity: (b, s) => blendSetLum(b, blendLum(s)),
+  };
+
+  /**
+   * Software blending: composite src onto dst in place (both non-premultiplied RGBA of the
+   * same size) with mode at opacity. With αs the source alpha times opacity and αb the
+   * backdrop alpha, each source color first becomes (1 - αb) Cs + αb B(Cb, Cs), which is then
+   * composited source-over: αo = αs + αb (1 - αs), Co = (αs Cs' + αb Cb (1 - αs)) / αo.
+   * "destination-over" instead puts the source behind: Co = (αb Cb + αs Cs (1 - αb)) / αo.
+   * Plain floating-point math, so every platform gets the same bytes.
+   */
+  function blendPixels(dst, src, mode = "source-over", opacity = 1) {
+    const separable = SEPARABLE_BLEND_FUNCTIONS[mode];
+    const whole = NON_SEPARABLE_BLEND_FUNCTIONS[mode];
+    const behind = mode === "destination-over";
+    assert(separable || whole || behind, `Unknown blend mode: ${mode}`);
+    const cb = [0, 0, 0];
+    const cs = [0, 0, 0];
+    for (let i = 0; i < dst.length; i += 4) {
+      const as = (src[i + 3] / 255) * opacity;
+      if (as <= 0) continue;
+      const ab = dst[i + 3] / 255;
+      const ao = as + ab * (1 - as);
+      for (let k = 0; k < 3; k++) {
+        cb[k] = dst[i + k] / 255;
+        cs[k] = src[i + k] / 255;
+      }
+      const blended = whole ? whole(cb, cs) : null;
+      for (let k = 0; k < 3; k++) {
+        let co;
+        if (behind) {
+          co = ab * cb[k] + as * cs[k] * (1 - ab);
+        } else {
+          const mixed = (1 - ab) * cs[k] + ab * (whole ? blended[k] : separable(cb[k], cs[k]));
+          co = as * mixed + ab * cb[k] * (1 - as);
+        }
+        dst[i + k] = Math.round((co / ao) * 255);
+      }
+      dst[i + 3] = Math.round(ao * 255);
+    }
+    return dst;
+  }
+
+  /**
+   * Blend sourceCanvas onto targetCtx with blendPixels, within rect (the whole canvas if null).
+   */
+  function blendCanvas(sourceCanvas, targetCtx, mode = "source-over", opacity = 1.0, rect = null) {
+    const { width, height } = targetCtx.canvas;
+    const r = clipRect(rect || { x: 0, y: 0, width, height }, Math.min(width, sourceCanvas.width), Math.min(height, sourceCanvas.height));
+    if (!r || opacity <= 0) return;
+    const dst = targetCtx.getImageData(r.x, r.y, r.width, r.height);
+    const src = sourceCanvas.getContext("2d").getImageData(r.x, r.y, r.width, r.height);
+    blendPixels(dst.data, src.data, mode, opacity);
+    targetCtx.putImageData(dst, r.x, r.y);
+  }
+
   // =========================================================================================
   // Public API
   // =========================================================================================
@@ -1807,6 +7148,8 @@
     BrushEngine,
     LayerManager,
     Layer,
+    LayerGroup,
+    AdjustmentLayer,
     HistoryManager,
     RoundBrush,
     FlatBrush,
@@ -1816,7 +7159,19 @@
     SmudgeBrush,
     ScatterBrush,
     ColorPalette,
+    StrokeRecorder,
+    ReliefWorkerPool,
+    replayRecording,
+    setCanvasBackend,
+    getCanvasBackend,
+    createNodeCanvasBackend,
     BLEND_MODES,
+    CANVAS_BLEND_MODES,
+    SOFTWARE_BLEND_MODES,
+    RESAMPLE_FILTERS,
+    RELIEF_MAP_TYPES,
+    DYNAMICS_PARAMETERS,
+    DYNAMICS_INPUTS,
     generatePaperTexture,
     createPatternFromSource,
     utils: {
@@ -1833,8 +7188,18 @@
       heightToNormalMap,
       shadeFromNormalMap,
       createOffscreenCanvas,
+      createSeededRandom,
       catmullRomSpline,
       quadraticBezier,
+      composeTransform,
+      multiplyMatrix,
+      invertMatrix,
+      transformPoint,
+      resampleAffine,
+      blendPixels,
+      blendCanvas,
+      reliefPixels,
+      renderReliefMap,
     },
   };
 